@@ -0,0 +1,210 @@
+// --- Threshold alerting ---
+// Evaluates alert conditions on the namespace payloads (the same data the
+// dashboard shows) and posts firing/resolved notifications to webhooks.
+// An alert is identified by a key (type/namespace/target); it notifies once
+// when it starts firing and once when it resolves.
+//
+// Conditions:
+//   oomkill       a container was OOMKilled in the last `oomWindowMinutes`
+//   waste         CPU or memory waste above `wastePercent` for `wasteMinutes` (idle apps skipped)
+//   hpa-max       an HPA running at maxReplicas
+//   restart-loop  CrashLoopBackOff, or `restartCount` restarts in `restartWindowMinutes`
+
+const DEFAULTS = {
+  oomWindowMinutes: 15,
+  wastePercent: 80,
+  wasteMinutes: 10,
+  restartCount: 3,
+  restartWindowMinutes: 10
+};
+
+// "slack=https://hooks.slack.com/...,json=http://receiver:9000/" -- no prefix means json
+function parseWebhooks(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const m = entry.match(/^(json|slack)=(.+)$/);
+    return m ? { type: m[1], url: m[2] } : { type: 'json', url: entry };
+  });
+}
+
+function createAlertManager({ webhooks = [], thresholds = {}, timeoutMs = 5000 } = {}) {
+  const t = { ...DEFAULTS };
+  for (const [k, v] of Object.entries(thresholds)) if (v !== undefined) t[k] = v;
+  const active = new Map();   // key -> alert
+  const pending = new Map();  // key -> first time the condition was seen (for "for M minutes")
+  const restarts = new Map(); // ns/pod -> [{ ts, count }]
+
+  // Current conditions for one namespace: [{ key, type, severity, target, summary }]
+  function conditions(ns, now) {
+    const out = [];
+    const idle = ns.totals.usage.cpu_millicores <= 1;
+
+    for (const p of ns.pods) {
+      for (const c of p.containers || []) {
+        const at = c.lastTerminatedAt ? new Date(c.lastTerminatedAt).getTime() : null;
+        if (c.lastTerminationReason === 'OOMKilled' && at && now - at < t.oomWindowMinutes * 60000) {
+          out.push({
+            key: `oomkill/${ns.namespace}/${p.name}/${c.name}/${at}`,
+            type: 'oomkill',
+            severity: 'critical',
+            target: `${p.name}/${c.name}`,
+            summary: `OOMKill em ${ns.namespace}: container ${c.name} do pod ${p.name} excedeu o limit de memória`
+          });
+        }
+      }
+
+      // Restart loop: CrashLoopBackOff right now, or too many restarts in the window
+      const podKey = `${ns.namespace}/${p.name}`;
+      const seen = (restarts.get(podKey) || []).filter(s => now - s.ts < t.restartWindowMinutes * 60000);
+      seen.push({ ts: now, count: p.restartCount });
+      restarts.set(podKey, seen);
+      const recent = seen[seen.length - 1].count - seen[0].count;
+      const crashLoop = (p.containers || []).some(c => c.stateReason === 'CrashLoopBackOff');
+      if (crashLoop || recent >= t.restartCount) {
+        out.push({
+          key: `restart-loop/${ns.namespace}/${p.name}`,
+          type: 'restart-loop',
+          severity: 'warning',
+          target: p.name,
+          summary: crashLoop
+            ? `Pod ${p.name} em ${ns.namespace} está em CrashLoopBackOff`
+            : `Pod ${p.name} em ${ns.namespace} reiniciou ${recent} vez(es) em ${t.restartWindowMinutes} min`
+        });
+      }
+    }
+
+    for (const h of ns.hpa) {
+      if (h.maxReplicas && h.currentReplicas >= h.maxReplicas) {
+        out.push({
+          key: `hpa-max/${ns.namespace}/${h.name}`,
+          type: 'hpa-max',
+          severity: 'warning',
+          target: `hpa/${h.name}`,
+          summary: `HPA ${h.name} em ${ns.namespace} atingiu maxReplicas (${h.maxReplicas}) -- não há mais para onde escalar`
+        });
+      }
+    }
+
+    // Waste is null while metrics are unavailable, which never crosses the threshold
+    for (const { resource, label, percent } of [
+      { resource: 'cpu', label: 'CPU', percent: ns.antiPatterns.cpuWastePercent },
+      { resource: 'memory', label: 'memória', percent: ns.antiPatterns.memWastePercent }
+    ]) {
+      const wasteKey = `waste/${ns.namespace}/${resource}`;
+      if (!idle && percent > t.wastePercent) {
+        if (!pending.has(wasteKey)) pending.set(wasteKey, now);
+        if (now - pending.get(wasteKey) >= t.wasteMinutes * 60000) {
+          out.push({
+            key: wasteKey,
+            type: 'waste',
+            severity: 'warning',
+            target: `namespace/${resource}`,
+            summary: `${ns.namespace} desperdiça ${percent}% dos requests de ${label} há mais de ${t.wasteMinutes} min`
+          });
+        }
+      } else {
+        pending.delete(wasteKey);
+      }
+    }
+
+    return out.map(c => ({ ...c, namespace: ns.namespace }));
+  }
+
+  // Diff the current conditions against the active alerts; only the
+  // namespaces evaluated this round can resolve their alerts
+  function evaluate(namespaces, now = Date.now()) {
+    const current = new Map();
+    for (const ns of namespaces) {
+      for (const c of conditions(ns, now)) current.set(c.key, c);
+    }
+    const evaluated = new Set(namespaces.map(ns => ns.namespace));
+
+    const notifications = [];
+    for (const [key, c] of current) {
+      if (active.has(key)) continue;
+      const alert = { ...c, status: 'firing', startsAt: new Date(now).toISOString(), endsAt: null };
+      active.set(key, alert);
+      notifications.push(alert);
+    }
+    for (const [key, alert] of active) {
+      if (current.has(key) || !evaluated.has(alert.namespace)) continue;
+      active.delete(key);
+      notifications.push({ ...alert, status: 'resolved', endsAt: new Date(now).toISOString() });
+    }
+
+    for (const podKey of restarts.keys()) {
+      if (!namespaces.some(ns => ns.pods.some(p => `${ns.namespace}/${p.name}` === podKey)) &&
+          evaluated.has(podKey.split('/')[0])) {
+        restarts.delete(podKey);
+      }
+    }
+
+    notifications.forEach(notify);
+    return notifications;
+  }
+
+  function notify(alert) {
+    console.log(`[alerts] ${alert.status === 'firing' ? 'Disparado' : 'Resolvido'}: ${alert.summary}`);
+    for (const hook of webhooks) {
+      const body = hook.type === 'slack' ? slackPayload(alert) : jsonPayload(alert);
+      fetch(hook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      })
+        .then(res => { if (!res.ok) throw new Error(`HTTP ${res.status}`); })
+        .catch(err => console.error(`[alerts] Falha ao enviar para ${hostOf(hook.url)}: ${err.message}`));
+    }
+  }
+
+  return {
+    evaluate,
+    active: () => [...active.values()],
+    thresholds: t,
+    // Webhook URLs carry secrets (Slack's does); only the host is shown
+    webhooks: webhooks.map(h => ({ type: h.type, host: hostOf(h.url) }))
+  };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return 'url inválida';
+  }
+}
+
+function jsonPayload(alert) {
+  return {
+    source: 'resource-dashboard',
+    status: alert.status,
+    alert: {
+      key: alert.key,
+      type: alert.type,
+      severity: alert.severity,
+      namespace: alert.namespace,
+      target: alert.target,
+      summary: alert.summary,
+      startsAt: alert.startsAt,
+      endsAt: alert.endsAt
+    }
+  };
+}
+
+function slackPayload(alert) {
+  const firing = alert.status === 'firing';
+  return {
+    text: `${firing ? ':rotating_light: *[ALERTA]*' : ':white_check_mark: *[RESOLVIDO]*'} ${alert.summary}`,
+    attachments: [{
+      color: firing ? (alert.severity === 'critical' ? '#c0392b' : '#e67e22') : '#1e8449',
+      fields: [
+        { title: 'Namespace', value: alert.namespace, short: true },
+        { title: 'Alvo', value: alert.target, short: true },
+        { title: 'Tipo', value: alert.type, short: true },
+        { title: 'Início', value: alert.startsAt, short: true }
+      ]
+    }]
+  };
+}
+
+module.exports = { createAlertManager, parseWebhooks };
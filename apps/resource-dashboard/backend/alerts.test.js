@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAlertManager, parseWebhooks } = require('./alerts');
+
+const MINUTE = 60000;
+
+function namespace(overrides = {}) {
+  return {
+    namespace: 'app-ruim',
+    totals: { usage: { cpu_millicores: 100, memory_mib: 64 } },
+    antiPatterns: { cpuWastePercent: 10, memWastePercent: 10 },
+    pods: [{ name: 'web-1', restartCount: 0, containers: [{ name: 'app' }] }],
+    hpa: [],
+    ...overrides
+  };
+}
+
+function manager(t, options = {}) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  return createAlertManager(options);
+}
+
+const summary = (n) => [n.status, n.type, n.target];
+
+test('parseWebhooks defaults to json and reads the slack prefix', () => {
+  assert.deepEqual(parseWebhooks(' http://a:9000/ , slack=https://hooks.slack.com/services/T/B/secret,,json=http://b/'), [
+    { type: 'json', url: 'http://a:9000/' },
+    { type: 'slack', url: 'https://hooks.slack.com/services/T/B/secret' },
+    { type: 'json', url: 'http://b/' }
+  ]);
+  assert.deepEqual(parseWebhooks(undefined), []);
+});
+
+test('an alert notifies once when it fires and once when it resolves', (t) => {
+  const alerts = manager(t);
+  const atMax = namespace({ hpa: [{ name: 'web', currentReplicas: 5, maxReplicas: 5 }] });
+
+  assert.deepEqual(alerts.evaluate([atMax], 0).map(summary), [['firing', 'hpa-max', 'hpa/web']]);
+  assert.deepEqual(alerts.evaluate([atMax], MINUTE), []);
+  assert.equal(alerts.active().length, 1);
+
+  const [resolved] = alerts.evaluate([namespace()], 2 * MINUTE);
+  assert.deepEqual(summary(resolved), ['resolved', 'hpa-max', 'hpa/web']);
+  assert.equal(resolved.startsAt, new Date(0).toISOString());
+  assert.equal(resolved.endsAt, new Date(2 * MINUTE).toISOString());
+  assert.deepEqual(alerts.active(), []);
+});
+
+test('alerts of namespaces not evaluated stay active', (t) => {
+  const alerts = manager(t);
+  alerts.evaluate([namespace({ hpa: [{ name: 'web', currentReplicas: 5, maxReplicas: 5 }] })], 0);
+  assert.deepEqual(alerts.evaluate([namespace({ namespace: 'app-bom' })], MINUTE), []);
+  assert.equal(alerts.active().length, 1);
+});
+
+test('waste fires for CPU and memory only after wasteMinutes', (t) => {
+  const alerts = manager(t, { thresholds: { wastePercent: 80, wasteMinutes: 10 } });
+  const wasteful = namespace({ antiPatterns: { cpuWastePercent: 95, memWastePercent: 90 } });
+
+  assert.deepEqual(alerts.evaluate([wasteful], 0), []);
+  assert.deepEqual(alerts.evaluate([wasteful], 9 * MINUTE), []);
+  const fired = alerts.evaluate([wasteful], 10 * MINUTE);
+  assert.deepEqual(fired.map(summary), [['firing', 'waste', 'namespace/cpu'], ['firing', 'waste', 'namespace/memory']]);
+  assert.match(fired[1].summary, /90% dos requests de memória/);
+
+  const memoryOnly = namespace({ antiPatterns: { cpuWastePercent: 95, memWastePercent: 20 } });
+  assert.deepEqual(alerts.evaluate([memoryOnly], 11 * MINUTE).map(summary), [['resolved', 'waste', 'namespace/memory']]);
+});
+
+test('waste is not counted while idle or without metrics', (t) => {
+  const alerts = manager(t, { thresholds: { wasteMinutes: 1 } });
+  const idle = namespace({ totals: { usage: { cpu_millicores: 0, memory_mib: 64 } }, antiPatterns: { cpuWastePercent: 100, memWastePercent: 90 } });
+  const noMetrics = namespace({ antiPatterns: { cpuWastePercent: null, memWastePercent: null } });
+  for (let i = 0; i < 5; i++) {
+    assert.deepEqual(alerts.evaluate([idle], i * MINUTE), []);
+    assert.deepEqual(alerts.evaluate([noMetrics], i * MINUTE), []);
+  }
+});
+
+test('a recent OOMKill fires once per termination', (t) => {
+  const alerts = manager(t, { thresholds: { oomWindowMinutes: 15 } });
+  const t0 = Date.parse('2026-01-01T10:00:00Z');
+  const oom = (at) => namespace({
+    pods: [{ name: 'web-1', restartCount: 1, containers: [{ name: 'app', lastTerminationReason: 'OOMKilled', lastTerminatedAt: new Date(t0 + at).toISOString() }] }]
+  });
+
+  assert.deepEqual(alerts.evaluate([oom(0)], t0 + MINUTE).map(summary), [['firing', 'oomkill', 'web-1/app']]);
+  assert.deepEqual(alerts.evaluate([oom(0)], t0 + 2 * MINUTE), []);
+  assert.deepEqual(alerts.evaluate([oom(0)], t0 + 16 * MINUTE).map(summary), [['resolved', 'oomkill', 'web-1/app']]);
+  assert.deepEqual(alerts.evaluate([oom(20 * MINUTE)], t0 + 21 * MINUTE).map(summary), [['firing', 'oomkill', 'web-1/app']]);
+});
+
+test('restarts inside the window fire a restart-loop alert', (t) => {
+  const alerts = manager(t, { thresholds: { restartCount: 3, restartWindowMinutes: 10 } });
+  const restarted = (count) => namespace({ pods: [{ name: 'web-1', restartCount: count, containers: [{ name: 'app' }] }] });
+
+  assert.deepEqual(alerts.evaluate([restarted(0)], 0), []);
+  assert.deepEqual(alerts.evaluate([restarted(2)], MINUTE), []);
+  const [alert] = alerts.evaluate([restarted(3)], 2 * MINUTE);
+  assert.deepEqual(summary(alert), ['firing', 'restart-loop', 'web-1']);
+  assert.match(alert.summary, /reiniciou 3 vez\(es\) em 10 min/);
+  // The restarts age out of the window
+  assert.deepEqual(alerts.evaluate([restarted(3)], 15 * MINUTE).map(summary), [['resolved', 'restart-loop', 'web-1']]);
+
+  const crashing = namespace({ pods: [{ name: 'web-1', restartCount: 3, containers: [{ name: 'app', stateReason: 'CrashLoopBackOff' }] }] });
+  assert.match(alerts.evaluate([crashing], 16 * MINUTE)[0].summary, /CrashLoopBackOff/);
+});
+
+test('webhook URLs are reduced to their host', (t) => {
+  const alerts = manager(t, { webhooks: parseWebhooks('slack=https://hooks.slack.com/services/T/B/secret,not a url') });
+  assert.deepEqual(alerts.webhooks, [
+    { type: 'slack', host: 'hooks.slack.com' },
+    { type: 'json', host: 'url inválida' }
+  ]);
+  assert.doesNotMatch(JSON.stringify(alerts), /secret/);
+});
+
+test('notifications are posted per webhook type and failures log only the host', async (t) => {
+  const calls = [];
+  t.mock.method(global, 'fetch', async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    return { ok: !url.includes('slack'), status: 500 };
+  });
+  const alerts = manager(t, { webhooks: parseWebhooks('http://receiver:9000/,slack=https://hooks.slack.com/services/T/B/secret') });
+  alerts.evaluate([namespace({ hpa: [{ name: 'web', currentReplicas: 5, maxReplicas: 5 }] })], 0);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[0].body.alert.type, 'hpa-max');
+  assert.equal(calls[0].body.status, 'firing');
+  assert.match(calls[1].body.text, /^:rotating_light: \*\[ALERTA\]\* HPA web/);
+
+  const logged = console.error.mock.calls.map(c => c.arguments.join(' '));
+  assert.deepEqual(logged, ['[alerts] Falha ao enviar para hooks.slack.com: HTTP 500']);
+});
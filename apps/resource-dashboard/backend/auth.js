@@ -0,0 +1,105 @@
+const k8s = require('@kubernetes/client-node');
+
+// --- Authentication and RBAC-scoped views ---
+// Meant to sit behind an OAuth proxy (e.g. openshift/oauth-proxy with
+// --pass-access-token), which forwards the user's token in
+// X-Forwarded-Access-Token; a plain "Authorization: Bearer" header works too.
+// The token is checked with a TokenReview, and every namespace is checked with
+// a SubjectAccessReview ("can this user list pods here?"), so the shared watch
+// cache keeps working while each user only sees what RBAC lets them see.
+// Results are cached for `cacheTtlMs` to keep the API server out of the hot path.
+
+function createAuth(kc, { cacheTtlMs = 60000 } = {}) {
+  const authnApi = kc.makeApiClient(k8s.AuthenticationV1Api);
+  const authzApi = kc.makeApiClient(k8s.AuthorizationV1Api);
+  const tokens = new Map();   // token -> { at, user: Promise<user | null> }; at is null while in flight
+  const decisions = new Map(); // username|verb|resource|namespace -> { at, allowed }
+
+  function tokenOf(req) {
+    const forwarded = req.get('X-Forwarded-Access-Token');
+    if (forwarded) return forwarded;
+    const m = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    return m ? m[1] : null;
+  }
+
+  // Concurrent requests with the same token (SSE plus polled endpoints) share
+  // one TokenReview; a failed review is dropped so the next request retries
+  function review(token) {
+    const cached = tokens.get(token);
+    if (cached && (cached.at === null || Date.now() - cached.at < cacheTtlMs)) return cached.user;
+    const entry = { at: null, user: null };
+    entry.user = authnApi.createTokenReview({ body: { spec: { token } } }).then(
+      (res) => {
+        entry.at = Date.now();
+        return res.status?.authenticated
+          ? { username: res.status.user.username, groups: res.status.user.groups || [] }
+          : null;
+      },
+      (err) => {
+        if (tokens.get(token) === entry) tokens.delete(token);
+        throw err;
+      }
+    );
+    tokens.set(token, entry);
+    return entry.user;
+  }
+
+  // Express middleware: sets req.user or answers 401
+  async function authenticate(req, res, next) {
+    const token = tokenOf(req);
+    if (!token) return res.status(401).json({ error: 'Autenticação necessária' });
+    try {
+      const user = await review(token);
+      if (!user) return res.status(401).json({ error: 'Token inválido ou expirado' });
+      req.user = user;
+      next();
+    } catch (err) {
+      console.error('[auth] Falha no TokenReview:', err.message);
+      res.status(503).json({ error: 'Não foi possível validar o token' });
+    }
+  }
+
+  // namespace '' = cluster-wide
+  async function can(user, verb, resource, namespace = '') {
+    const key = [user.username, verb, resource, namespace].join('|');
+    const cached = decisions.get(key);
+    if (cached && Date.now() - cached.at < cacheTtlMs) return cached.allowed;
+    let allowed = false;
+    try {
+      const res = await authzApi.createSubjectAccessReview({
+        body: {
+          spec: {
+            user: user.username,
+            groups: user.groups,
+            resourceAttributes: { verb, resource, ...(namespace ? { namespace } : {}) }
+          }
+        }
+      });
+      allowed = !!res.status?.allowed;
+    } catch (err) {
+      console.error(`[auth] Falha no SubjectAccessReview (${key}):`, err.message);
+      return false; // not cached, try again next time
+    }
+    decisions.set(key, { at: Date.now(), allowed });
+    return allowed;
+  }
+
+  // The subset of `names` whose pods the user may list
+  async function visibleNamespaces(user, names) {
+    if (await can(user, 'list', 'pods')) return names;
+    const allowed = await Promise.all(names.map(ns => can(user, 'list', 'pods', ns)));
+    return names.filter((ns, i) => allowed[i]);
+  }
+
+  // Drop expired entries now and then so the caches do not grow without bound
+  setInterval(() => {
+    const now = Date.now();
+    for (const cache of [tokens, decisions]) {
+      for (const [key, entry] of cache) if (entry.at !== null && now - entry.at >= cacheTtlMs) cache.delete(key);
+    }
+  }, cacheTtlMs).unref();
+
+  return { authenticate, can, visibleNamespaces };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const k8s = require('@kubernetes/client-node');
+const { createAuth } = require('./auth');
+
+const TTL = 60000;
+const ALICE = { username: 'alice', groups: ['devs'] };
+
+// A kc whose API clients are the given stubs; `users` maps tokens to users,
+// `allowed` holds the "namespace" ('' = cluster-wide) where pods may be listed
+function fakeCluster({ users = { good: ALICE }, allowed = [] } = {}) {
+  const calls = { tokenReviews: [], accessReviews: [] };
+  const stubs = {
+    authn: {
+      createTokenReview: async ({ body }) => {
+        calls.tokenReviews.push(body.spec.token);
+        const user = users[body.spec.token];
+        return { status: user ? { authenticated: true, user } : { authenticated: false } };
+      }
+    },
+    authz: {
+      createSubjectAccessReview: async ({ body }) => {
+        const ns = body.spec.resourceAttributes.namespace || '';
+        calls.accessReviews.push(ns);
+        return { status: { allowed: allowed.includes(ns) } };
+      }
+    }
+  };
+  const kc = {
+    makeApiClient: (Api) => Api === k8s.AuthenticationV1Api ? stubs.authn : stubs.authz
+  };
+  return { kc, calls, stubs };
+}
+
+function request(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: (name) => lower[name.toLowerCase()] };
+}
+
+// Runs the middleware; resolves with the status (200 when next() is called) and body
+function authenticate(auth, req) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); }
+    };
+    auth.authenticate(req, res, () => resolve({ status: 200, user: req.user }));
+  });
+}
+
+test('X-Forwarded-Access-Token wins over Authorization: Bearer', async () => {
+  const { kc, calls } = fakeCluster();
+  const auth = createAuth(kc);
+  const result = await authenticate(auth, request({
+    'X-Forwarded-Access-Token': 'good',
+    Authorization: 'Bearer other'
+  }));
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.user, ALICE);
+  assert.deepEqual(calls.tokenReviews, ['good']);
+});
+
+test('a Bearer token is used when there is no forwarded token', async () => {
+  const { kc } = fakeCluster();
+  const result = await authenticate(createAuth(kc), request({ Authorization: 'bearer good' }));
+  assert.equal(result.status, 200);
+  assert.equal(result.user.username, 'alice');
+});
+
+test('a missing or unauthenticated token answers 401', async () => {
+  const { kc, calls } = fakeCluster();
+  const auth = createAuth(kc);
+  assert.equal((await authenticate(auth, request())).status, 401);
+  assert.equal((await authenticate(auth, request({ Authorization: 'Basic xyz' }))).status, 401);
+  assert.deepEqual(calls.tokenReviews, []);
+  assert.equal((await authenticate(auth, request({ Authorization: 'Bearer bad' }))).status, 401);
+});
+
+test('a failing TokenReview answers 503 and is not cached', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { kc, calls, stubs } = fakeCluster();
+  const auth = createAuth(kc);
+  const original = stubs.authn.createTokenReview;
+  stubs.authn.createTokenReview = async () => {
+    calls.tokenReviews.push('failed');
+    throw new Error('connection refused');
+  };
+  assert.equal((await authenticate(auth, request({ Authorization: 'Bearer good' }))).status, 503);
+
+  stubs.authn.createTokenReview = original;
+  assert.equal((await authenticate(auth, request({ Authorization: 'Bearer good' }))).status, 200);
+  assert.deepEqual(calls.tokenReviews, ['failed', 'good']);
+});
+
+test('token reviews are cached for cacheTtlMs', async (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval'] });
+  const { kc, calls } = fakeCluster();
+  const auth = createAuth(kc, { cacheTtlMs: TTL });
+  const req = request({ Authorization: 'Bearer good' });
+
+  await authenticate(auth, req);
+  t.mock.timers.tick(TTL - 1);
+  await authenticate(auth, req);
+  assert.equal(calls.tokenReviews.length, 1);
+
+  t.mock.timers.tick(1);
+  await authenticate(auth, req);
+  assert.equal(calls.tokenReviews.length, 2);
+});
+
+test('concurrent requests with the same token share one TokenReview', async () => {
+  const { kc, calls } = fakeCluster();
+  const auth = createAuth(kc);
+  const req = request({ Authorization: 'Bearer good' });
+  const results = await Promise.all([1, 2, 3].map(() => authenticate(auth, req)));
+  assert.deepEqual(results.map(r => r.status), [200, 200, 200]);
+  assert.equal(calls.tokenReviews.length, 1);
+});
+
+test('concurrent requests share a failing TokenReview, and the next one retries', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { kc, stubs } = fakeCluster();
+  const auth = createAuth(kc);
+  let reviews = 0;
+  stubs.authn.createTokenReview = async () => {
+    reviews++;
+    throw new Error('timeout');
+  };
+  const req = request({ Authorization: 'Bearer good' });
+  const results = await Promise.all([1, 2].map(() => authenticate(auth, req)));
+  assert.deepEqual(results.map(r => r.status), [503, 503]);
+  assert.equal(reviews, 1);
+
+  await authenticate(auth, req);
+  assert.equal(reviews, 2);
+});
+
+test('visibleNamespaces returns every name when pods may be listed cluster-wide', async () => {
+  const { kc, calls } = fakeCluster({ allowed: [''] });
+  const auth = createAuth(kc);
+  assert.deepEqual(await auth.visibleNamespaces(ALICE, ['a', 'b']), ['a', 'b']);
+  assert.deepEqual(calls.accessReviews, ['']);
+});
+
+test('visibleNamespaces otherwise checks each namespace', async () => {
+  const { kc, calls } = fakeCluster({ allowed: ['b'] });
+  const auth = createAuth(kc);
+  assert.deepEqual(await auth.visibleNamespaces(ALICE, ['a', 'b', 'c']), ['b']);
+  assert.deepEqual(calls.accessReviews, ['', 'a', 'b', 'c']);
+
+  // Decisions are cached
+  await auth.visibleNamespaces(ALICE, ['a', 'b', 'c']);
+  assert.equal(calls.accessReviews.length, 4);
+});
+
+test('decisions expire after cacheTtlMs', async (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval'] });
+  const { kc, calls } = fakeCluster({ allowed: ['a'] });
+  const auth = createAuth(kc, { cacheTtlMs: TTL });
+  await auth.can(ALICE, 'list', 'pods', 'a');
+  t.mock.timers.tick(TTL);
+  assert.equal(await auth.can(ALICE, 'list', 'pods', 'a'), true);
+  assert.equal(calls.accessReviews.length, 2);
+});
+
+test('a failing SubjectAccessReview denies without caching', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { kc, calls, stubs } = fakeCluster({ allowed: ['a'] });
+  const auth = createAuth(kc);
+  const original = stubs.authz.createSubjectAccessReview;
+  stubs.authz.createSubjectAccessReview = async () => { throw new Error('forbidden'); };
+  assert.equal(await auth.can(ALICE, 'list', 'pods', 'a'), false);
+
+  stubs.authz.createSubjectAccessReview = original;
+  assert.equal(await auth.can(ALICE, 'list', 'pods', 'a'), true);
+  assert.deepEqual(calls.accessReviews, ['a']);
+});
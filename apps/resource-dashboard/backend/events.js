@@ -0,0 +1,56 @@
+// --- Recent events, de-duplicated ---
+// Repeats of the same reason/message on the same object are folded into one
+// entry (the kubelet emits a new Event per probe failure, for instance), with
+// their counts summed. Only events seen in the last `windowMinutes` are kept,
+// newest first, at most `limit` of them.
+
+const DEFAULTS = {
+  windowMinutes: 60,
+  limit: 30
+};
+
+function eventTime(e, field) {
+  const t = e[field] || e.eventTime || e.metadata?.creationTimestamp;
+  return t ? new Date(t).getTime() : 0;
+}
+
+function summarizeEvents(events, { now = Date.now(), ...options } = {}) {
+  const o = { ...DEFAULTS };
+  for (const [k, v] of Object.entries(options)) if (v !== undefined) o[k] = v;
+
+  const since = now - o.windowMinutes * 60000;
+  const groups = {};
+  for (const e of events) {
+    const lastSeen = eventTime(e, 'lastTimestamp');
+    if (lastSeen < since) continue;
+    const object = `${e.involvedObject?.kind || ''}/${e.involvedObject?.name || ''}`;
+    // Pod hashes and numbers vary between repeats; ignore digits when grouping
+    const key = [object, e.reason, (e.message || '').replace(/\d+/g, '#')].join('|');
+    const count = e.count || e.series?.count || 1;
+    const g = groups[key];
+    if (!g) {
+      groups[key] = {
+        type: e.type || 'Normal',
+        reason: e.reason,
+        message: e.message,
+        object,
+        count,
+        firstSeen: eventTime(e, 'firstTimestamp'),
+        lastSeen
+      };
+    } else {
+      g.count += count;
+      g.firstSeen = Math.min(g.firstSeen, eventTime(e, 'firstTimestamp'));
+      if (lastSeen > g.lastSeen) {
+        g.lastSeen = lastSeen;
+        g.message = e.message;
+      }
+    }
+  }
+  return Object.values(groups)
+    .sort((a, b) => b.lastSeen - a.lastSeen)
+    .slice(0, o.limit)
+    .map(g => ({ ...g, firstSeen: new Date(g.firstSeen).toISOString(), lastSeen: new Date(g.lastSeen).toISOString() }));
+}
+
+module.exports = { DEFAULTS, summarizeEvents };
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeEvents } = require('./events');
+
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+const ago = (minutes) => new Date(NOW - minutes * 60000).toISOString();
+
+function event(overrides = {}) {
+  return {
+    type: 'Warning',
+    reason: 'Unhealthy',
+    message: 'Readiness probe failed: HTTP probe failed with statuscode: 503',
+    involvedObject: { kind: 'Pod', name: 'web-1' },
+    count: 1,
+    firstTimestamp: ago(10),
+    lastTimestamp: ago(10),
+    ...overrides
+  };
+}
+
+test('merges repeats on the same object and reason, summing counts', () => {
+  const [e, ...rest] = summarizeEvents([
+    event({ count: 3, firstTimestamp: ago(30), lastTimestamp: ago(20) }),
+    event({ count: 2, firstTimestamp: ago(15), lastTimestamp: ago(5), message: 'Readiness probe failed: HTTP probe failed with statuscode: 500' })
+  ], { now: NOW });
+  assert.deepEqual(rest, []);
+  assert.equal(e.object, 'Pod/web-1');
+  assert.equal(e.count, 5);
+  assert.equal(e.firstSeen, ago(30));
+  assert.equal(e.lastSeen, ago(5));
+  assert.match(e.message, /statuscode: 500$/);
+});
+
+test('keeps different objects and reasons apart', () => {
+  const out = summarizeEvents([
+    event(),
+    event({ involvedObject: { kind: 'Pod', name: 'web-2' } }),
+    event({ reason: 'BackOff', message: 'Back-off restarting failed container' })
+  ], { now: NOW });
+  assert.equal(out.length, 3);
+});
+
+test('counts an event without a count as one, or reads series.count', () => {
+  const [e] = summarizeEvents([
+    event({ count: undefined }),
+    event({ count: undefined, series: { count: 4 } })
+  ], { now: NOW });
+  assert.equal(e.count, 5);
+});
+
+test('sorts by lastSeen, newest first, and applies the limit', () => {
+  const out = summarizeEvents([
+    event({ reason: 'A', lastTimestamp: ago(30) }),
+    event({ reason: 'B', lastTimestamp: ago(1) }),
+    event({ reason: 'C', lastTimestamp: ago(10) })
+  ], { now: NOW, limit: 2 });
+  assert.deepEqual(out.map(e => e.reason), ['B', 'C']);
+});
+
+test('drops events older than the window', () => {
+  const out = summarizeEvents([
+    event({ reason: 'Old', lastTimestamp: ago(61) }),
+    event({ reason: 'Recent', lastTimestamp: ago(59) })
+  ], { now: NOW });
+  assert.deepEqual(out.map(e => e.reason), ['Recent']);
+  assert.equal(summarizeEvents([event({ lastTimestamp: ago(61) })], { now: NOW, windowMinutes: 120 }).length, 1);
+});
+
+test('falls back to eventTime when there are no timestamps', () => {
+  const [e] = summarizeEvents([
+    event({ firstTimestamp: null, lastTimestamp: null, eventTime: ago(2) })
+  ], { now: NOW });
+  assert.equal(e.lastSeen, ago(2));
+  assert.equal(e.firstSeen, ago(2));
+});
@@ -0,0 +1,31 @@
+// --- History: ring buffer of samples and query windows ---
+// Each namespace keeps its samples ({ ts, ... }, oldest first) in a buffer of
+// fixed capacity; once full, every push drops the oldest sample.
+
+function createRingBuffer(capacity, initial = []) {
+  const items = initial.slice(-capacity);
+  return {
+    push(item) {
+      items.push(item);
+      if (items.length > capacity) items.shift();
+    },
+    since(ts) {
+      return items.filter(i => i.ts >= ts);
+    },
+    toArray() {
+      return items.slice();
+    }
+  };
+}
+
+// Parse "90s", "15m", "1h" (bare numbers are minutes) into milliseconds, at
+// most `maxMs` (the retention); anything else, or 0, is the whole `maxMs`
+function parseWindow(str, maxMs) {
+  const m = String(str || '').match(/^(\d+)(s|m|h)?$/);
+  if (!m) return maxMs;
+  const unit = { s: 1000, m: 60000, h: 3600000 }[m[2] || 'm'];
+  const ms = parseInt(m[1]) * unit;
+  return ms > 0 ? Math.min(ms, maxMs) : maxMs;
+}
+
+module.exports = { createRingBuffer, parseWindow };
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRingBuffer, parseWindow } = require('./history');
+
+const HOUR = 3600000;
+const sample = (ts) => ({ ts });
+
+test('the ring buffer drops the oldest samples once full', () => {
+  const buf = createRingBuffer(3);
+  for (let ts = 1; ts <= 5; ts++) buf.push(sample(ts));
+  assert.deepEqual(buf.toArray().map(s => s.ts), [3, 4, 5]);
+  buf.push(sample(6));
+  assert.deepEqual(buf.toArray().map(s => s.ts), [4, 5, 6]);
+});
+
+test('the ring buffer keeps only the newest initial samples', () => {
+  const buf = createRingBuffer(2, [1, 2, 3].map(sample));
+  assert.deepEqual(buf.toArray().map(s => s.ts), [2, 3]);
+});
+
+test('toArray returns a copy', () => {
+  const buf = createRingBuffer(2);
+  buf.push(sample(1));
+  buf.toArray().push(sample(2));
+  assert.equal(buf.toArray().length, 1);
+});
+
+test('since returns the samples at or after a timestamp', () => {
+  const buf = createRingBuffer(10, [10, 20, 30].map(sample));
+  assert.deepEqual(buf.since(20).map(s => s.ts), [20, 30]);
+  assert.deepEqual(buf.since(31), []);
+});
+
+test('parseWindow reads seconds, minutes and hours; bare numbers are minutes', () => {
+  assert.equal(parseWindow('90s', HOUR), 90000);
+  assert.equal(parseWindow('15m', HOUR), 900000);
+  assert.equal(parseWindow('15', HOUR), 900000);
+  assert.equal(parseWindow('1h', HOUR), HOUR);
+});
+
+test('parseWindow caps oversized windows at the retention', () => {
+  assert.equal(parseWindow('2h', HOUR), HOUR);
+  assert.equal(parseWindow('99999999h', HOUR), HOUR);
+});
+
+test('parseWindow falls back to the retention for invalid values', () => {
+  for (const value of [undefined, '', 'abc', '-5m', '1.5h', '10d', '15 m', '0', '0s']) {
+    assert.equal(parseWindow(value, HOUR), HOUR, String(value));
+  }
+});
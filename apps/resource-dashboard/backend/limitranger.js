@@ -0,0 +1,20 @@
+// --- Requests/limits filled in by the LimitRanger admission plugin ---
+// The plugin records what it set in an annotation such as
+//   "LimitRanger plugin set: cpu, memory request for container app; cpu, memory limit for container app"
+// Returns one entry per container; parts that do not follow that shape are skipped.
+
+function parseLimitRangerAnnotation(value) {
+  if (!value) return [];
+  const out = {};
+  const body = value.replace(/^LimitRanger plugin set:\s*/, '');
+  for (const part of body.split(';')) {
+    const m = part.trim().match(/^(.+?)\s+(request|limit)\s+for\s+(?:init\s+)?container\s+(\S+)$/);
+    if (!m) continue;
+    const [, resources, kind, container] = m;
+    const entry = out[container] || (out[container] = { container, requests: [], limits: [] });
+    entry[kind === 'request' ? 'requests' : 'limits'].push(...resources.split(',').map(r => r.trim()));
+  }
+  return Object.values(out);
+}
+
+module.exports = { parseLimitRangerAnnotation };
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLimitRangerAnnotation } = require('./limitranger');
+
+test('reads requests and limits per container', () => {
+  assert.deepEqual(parseLimitRangerAnnotation(
+    'LimitRanger plugin set: cpu, memory request for container app; cpu, memory limit for container app'
+  ), [{ container: 'app', requests: ['cpu', 'memory'], limits: ['cpu', 'memory'] }]);
+});
+
+test('keeps requests apart from limits and containers apart from each other', () => {
+  assert.deepEqual(parseLimitRangerAnnotation(
+    'LimitRanger plugin set: memory request for container app; cpu limit for container app; ' +
+    'cpu, memory, ephemeral-storage request for container sidecar; cpu request for init container setup'
+  ), [
+    { container: 'app', requests: ['memory'], limits: ['cpu'] },
+    { container: 'sidecar', requests: ['cpu', 'memory', 'ephemeral-storage'], limits: [] },
+    { container: 'setup', requests: ['cpu'], limits: [] }
+  ]);
+});
+
+test('skips parts that do not follow the plugin format', () => {
+  assert.deepEqual(parseLimitRangerAnnotation(
+    'LimitRanger plugin set: cpu request for container app; something else entirely; memory limit container app'
+  ), [{ container: 'app', requests: ['cpu'], limits: [] }]);
+  assert.deepEqual(parseLimitRangerAnnotation('garbage'), []);
+});
+
+test('returns nothing without an annotation', () => {
+  assert.deepEqual(parseLimitRangerAnnotation(undefined), []);
+  assert.deepEqual(parseLimitRangerAnnotation(''), []);
+});
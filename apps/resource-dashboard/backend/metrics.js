@@ -0,0 +1,82 @@
+// --- Prometheus exposition ---
+// Publishes the same derived values the dashboard shows, from the namespace
+// payloads built by server.js. Units follow Prometheus conventions (cores and
+// bytes) rather than the m / Mi used in the JSON API.
+
+const METRIC_HELP = {
+  resource_dashboard_namespace_cpu_waste_percent: 'Percentage of requested CPU not used in the namespace',
+  resource_dashboard_namespace_memory_waste_percent: 'Percentage of requested memory not used in the namespace',
+  resource_dashboard_namespace_requests_equals_limits: '1 when every pod in the namespace has requests equal to limits',
+  resource_dashboard_namespace_pods: 'Number of pods in the namespace',
+  resource_dashboard_pod_cpu_requests_cores: 'CPU requested by the pod (sum of containers)',
+  resource_dashboard_pod_cpu_limits_cores: 'CPU limit of the pod (sum of containers)',
+  resource_dashboard_pod_cpu_usage_cores: 'CPU used by the pod (Metrics API)',
+  resource_dashboard_pod_memory_requests_bytes: 'Memory requested by the pod (sum of containers)',
+  resource_dashboard_pod_memory_limits_bytes: 'Memory limit of the pod (sum of containers)',
+  resource_dashboard_pod_memory_usage_bytes: 'Memory working set of the pod (Metrics API)',
+  resource_dashboard_pod_restarts: 'Container restarts of the pod',
+  resource_dashboard_pod_oomkilled: '1 when the last termination of a container in the pod was OOMKilled',
+  resource_dashboard_hpa_current_replicas: 'Current replicas reported by the HPA',
+  resource_dashboard_hpa_desired_replicas: 'Desired replicas reported by the HPA',
+  resource_dashboard_hpa_cpu_utilization_percent: 'Current average CPU utilization seen by the HPA',
+  resource_dashboard_hpa_cpu_target_percent: 'Target average CPU utilization of the HPA'
+};
+
+const MIB = 1024 * 1024;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatMetrics(namespaces) {
+  const series = {};
+  const add = (name, labels, value) => {
+    if (value === null || value === undefined) return;
+    const lbl = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',');
+    (series[name] = series[name] || []).push(`${name}{${lbl}} ${value}`);
+  };
+
+  for (const ns of namespaces) {
+    const namespace = ns.namespace;
+    // Without metrics-server the usage series are left out instead of reported as 0
+    const hasMetrics = (ns.sources?.metrics || 'ok') === 'ok';
+    add('resource_dashboard_namespace_cpu_waste_percent', { namespace }, ns.antiPatterns.cpuWastePercent);
+    add('resource_dashboard_namespace_memory_waste_percent', { namespace }, ns.antiPatterns.memWastePercent);
+    add('resource_dashboard_namespace_requests_equals_limits', { namespace }, ns.antiPatterns.requestsEqualsLimits ? 1 : 0);
+    add('resource_dashboard_namespace_pods', { namespace }, ns.podCount);
+
+    for (const p of ns.pods) {
+      const labels = { namespace, pod: p.name };
+      add('resource_dashboard_pod_cpu_requests_cores', labels, p.requests.cpu_millicores / 1000);
+      add('resource_dashboard_pod_cpu_limits_cores', labels, p.limits.cpu_millicores / 1000);
+      if (hasMetrics) add('resource_dashboard_pod_cpu_usage_cores', labels, p.usage.cpu_millicores / 1000);
+      add('resource_dashboard_pod_memory_requests_bytes', labels, p.requests.memory_mib * MIB);
+      add('resource_dashboard_pod_memory_limits_bytes', labels, p.limits.memory_mib * MIB);
+      if (hasMetrics) add('resource_dashboard_pod_memory_usage_bytes', labels, p.usage.memory_mib * MIB);
+      add('resource_dashboard_pod_restarts', labels, p.restartCount);
+      add('resource_dashboard_pod_oomkilled', labels, p.lastTerminationReason === 'OOMKilled' ? 1 : 0);
+    }
+
+    for (const h of ns.hpa) {
+      const labels = { namespace, hpa: h.name };
+      add('resource_dashboard_hpa_current_replicas', labels, h.currentReplicas);
+      add('resource_dashboard_hpa_desired_replicas', labels, h.desiredReplicas);
+      add('resource_dashboard_hpa_cpu_utilization_percent', labels, h.currentCPUPercent);
+      add('resource_dashboard_hpa_cpu_target_percent', labels, h.targetCPUPercent);
+    }
+  }
+
+  return Object.entries(METRIC_HELP)
+    .filter(([name]) => series[name])
+    .map(([name, help]) => `# HELP ${name} ${help}\n# TYPE ${name} gauge\n${series[name].join('\n')}`)
+    .join('\n') + '\n';
+}
+
+// Exposition for `names`, read through `getSnapshot`; a namespace without a
+// snapshot (null, e.g. missing from the replay frame) is left out
+async function collectMetrics(names, getSnapshot) {
+  const results = await Promise.all(names.map(getSnapshot));
+  return formatMetrics(results.filter(Boolean));
+}
+
+module.exports = { formatMetrics, collectMetrics };
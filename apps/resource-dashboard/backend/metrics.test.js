@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatMetrics, collectMetrics } = require('./metrics');
+
+function namespace(overrides = {}) {
+  return {
+    namespace: 'app-ruim',
+    podCount: 1,
+    antiPatterns: { cpuWastePercent: 90, memWastePercent: null, requestsEqualsLimits: true },
+    pods: [{
+      name: 'stress-app-1',
+      requests: { cpu_millicores: 2000, memory_mib: 1024 },
+      limits: { cpu_millicores: 2000, memory_mib: 1024 },
+      usage: { cpu_millicores: 150, memory_mib: 64 },
+      restartCount: 3,
+      lastTerminationReason: 'OOMKilled'
+    }],
+    hpa: [],
+    sources: {},
+    ...overrides
+  };
+}
+
+test('converts millicores and MiB to cores and bytes', () => {
+  const out = formatMetrics([namespace()]);
+  assert.match(out, /^resource_dashboard_pod_cpu_requests_cores\{namespace="app-ruim",pod="stress-app-1"\} 2$/m);
+  assert.match(out, /^resource_dashboard_pod_cpu_usage_cores\{namespace="app-ruim",pod="stress-app-1"\} 0.15$/m);
+  assert.match(out, /^resource_dashboard_pod_memory_limits_bytes\{namespace="app-ruim",pod="stress-app-1"\} 1073741824$/m);
+  assert.match(out, /^resource_dashboard_pod_oomkilled\{namespace="app-ruim",pod="stress-app-1"\} 1$/m);
+  assert.match(out, /^resource_dashboard_namespace_requests_equals_limits\{namespace="app-ruim"\} 1$/m);
+});
+
+test('writes HELP and TYPE once per family and ends with a newline', () => {
+  const out = formatMetrics([namespace(), namespace({ namespace: 'app-bom' })]);
+  assert.equal(out.match(/^# TYPE resource_dashboard_namespace_pods gauge$/gm).length, 1);
+  assert.equal(out.match(/^# HELP resource_dashboard_namespace_pods /gm).length, 1);
+  assert.equal(out.match(/^resource_dashboard_namespace_pods\{/gm).length, 2);
+  assert.ok(out.endsWith('\n'));
+});
+
+test('skips null values and families without samples', () => {
+  const out = formatMetrics([namespace()]);
+  assert.doesNotMatch(out, /memory_waste_percent/);
+  assert.doesNotMatch(out, /resource_dashboard_hpa_/);
+});
+
+test('leaves usage out while metrics-server is unavailable', () => {
+  const out = formatMetrics([namespace({ sources: { metrics: 'unavailable' } })]);
+  assert.doesNotMatch(out, /_usage_/);
+  assert.match(out, /resource_dashboard_pod_cpu_requests_cores/);
+});
+
+test('escapes backslashes, quotes and newlines in label values', () => {
+  const out = formatMetrics([namespace({
+    hpa: [{ name: 'a"b\\c\nd', currentReplicas: 1, desiredReplicas: 2, currentCPUPercent: null, targetCPUPercent: 70 }]
+  })]);
+  assert.match(out, /^resource_dashboard_hpa_desired_replicas\{namespace="app-ruim",hpa="a\\"b\\\\c\\nd"\} 2$/m);
+  assert.doesNotMatch(out, /hpa_cpu_utilization_percent/);
+});
+
+test('returns only a newline for no namespaces', () => {
+  assert.equal(formatMetrics([]), '\n');
+});
+
+test('collectMetrics leaves out namespaces without a snapshot', async () => {
+  const snapshots = { 'app-ruim': namespace() };
+  const out = await collectMetrics(['app-ruim', 'app-bom'], async (ns) => snapshots[ns] || null);
+  assert.equal(out, formatMetrics([namespace()]));
+  assert.equal(await collectMetrics(['app-bom'], async () => null), '\n');
+});
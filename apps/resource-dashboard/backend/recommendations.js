@@ -0,0 +1,136 @@
+// --- Rightsizing recommendations ---
+// Per workload, from the usage history of its pods:
+//   CPU request    = p<cpuPercentile> of per-pod usage, plus headroom
+//   Memory request = max per-pod usage, plus headroom
+//   Limits         = request x ratio (same shape as the app-bom deployment: 4x CPU, 2x memory)
+// History samples hold one CPU/memory figure per pod, so the result is per pod.
+
+const DEFAULTS = {
+  cpuPercentile: 95,
+  headroom: 0.2,
+  minSamples: 4
+};
+const CPU_LIMIT_RATIO = 4;
+const MEM_LIMIT_RATIO = 2;
+const MIN_CPU_REQUEST = 10;  // millicores
+const MIN_MEM_REQUEST = 32;  // MiB
+const PATCHABLE_KINDS = ['Deployment', 'StatefulSet', 'DaemonSet'];
+
+// Nearest-rank percentile (p in 0-100); 0 for no values
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const idx = Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+}
+
+function roundUp(value, step) {
+  return Math.ceil(value / step) * step;
+}
+
+// Requests and limits for the observed CPU and memory figures
+function recommendResources(cpuValues, memValues, { cpuPercentile, headroom }) {
+  const cpuObserved = percentile(cpuValues, cpuPercentile);
+  const memMaxObserved = Math.max(...memValues);
+  const reqCPU = Math.max(MIN_CPU_REQUEST, roundUp(cpuObserved * (1 + headroom), 10));
+  const reqMem = Math.max(MIN_MEM_REQUEST, roundUp(memMaxObserved * (1 + headroom), 16));
+  return {
+    basis: { cpuPercentile, cpuObserved, memMaxObserved, headroom },
+    recommended: {
+      requests: { cpu_millicores: reqCPU, memory_mib: reqMem },
+      limits: { cpu_millicores: reqCPU * CPU_LIMIT_RATIO, memory_mib: reqMem * MEM_LIMIT_RATIO }
+    }
+  };
+}
+
+// `pods` are the raw pod objects and `podData` their dashboard rows, in the
+// same order. Options: samples (history of the namespace), hasMetrics (whether
+// the live usage in podData is real) and overrides of DEFAULTS.
+function computeRecommendations(ns, pods, podData, { samples = [], hasMetrics = true, ...options } = {}) {
+  const o = { ...DEFAULTS };
+  for (const [k, v] of Object.entries(options)) if (v !== undefined) o[k] = v;
+
+  // Group pods by owning workload
+  const groups = {};
+  podData.forEach((p, i) => {
+    const key = `${p.workload.kind}/${p.workload.name}`;
+    if (!groups[key]) groups[key] = { workload: p.workload, pods: [], specs: [] };
+    groups[key].pods.push(p);
+    groups[key].specs.push(pods[i]);
+  });
+
+  return Object.values(groups).map(({ workload, pods: members, specs }) => {
+    const names = new Set(members.map(p => p.name));
+    const cpu = [];
+    const mem = [];
+    for (const sample of samples) {
+      for (const [pod, u] of Object.entries(sample.pods || {})) {
+        if (!names.has(pod)) continue;
+        cpu.push(u.cpu);
+        mem.push(u.mem);
+      }
+    }
+    // Include the live reading so a fresh pod still counts, unless it is the
+    // 0 reported while metrics-server is unavailable
+    if (hasMetrics) {
+      for (const p of members) {
+        cpu.push(p.usage.cpu_millicores);
+        mem.push(p.usage.memory_mib);
+      }
+    }
+
+    const containers = specs[0].spec.containers || [];
+    const base = {
+      workload,
+      pods: members.length,
+      samples: cpu.length,
+      current: { requests: members[0].requests, limits: members[0].limits }
+    };
+
+    if (cpu.length < o.minSamples) {
+      return { ...base, status: 'insufficient-data', recommended: null, patch: null };
+    }
+
+    const { basis, recommended } = recommendResources(cpu, mem, o);
+    const patch = patchFor(ns, workload, containers, recommended);
+    return { ...base, status: 'ok', basis, recommended, ...patch };
+  });
+}
+
+// A ready-to-apply patch, or the reason there is none
+function patchFor(ns, workload, containers, recommended) {
+  if (!PATCHABLE_KINDS.includes(workload.kind)) {
+    return { patch: null, patchNote: `Sem patch para ${workload.kind}: aplique os valores no objeto que cria os pods` };
+  }
+  if (containers.length !== 1) {
+    // Usage is recorded per pod, so there is no basis to split it between containers
+    return {
+      patch: null,
+      patchNote: `Sem patch: o pod tem ${containers.length} containers e o uso é medido por pod; os valores sugeridos são a soma de todos eles`
+    };
+  }
+  return { patch: buildResourcesPatch(ns, workload, containers[0].name, recommended), patchNote: null };
+}
+
+function buildResourcesPatch(ns, workload, container, r) {
+  const yaml = [
+    'spec:',
+    '  template:',
+    '    spec:',
+    '      containers:',
+    `        - name: ${container}`,
+    '          resources:',
+    '            requests:',
+    `              cpu: "${r.requests.cpu_millicores}m"`,
+    `              memory: "${r.requests.memory_mib}Mi"`,
+    '            limits:',
+    `              cpu: "${r.limits.cpu_millicores}m"`,
+    `              memory: "${r.limits.memory_mib}Mi"`
+  ].join('\n');
+  return {
+    yaml,
+    command: `oc -n ${ns} patch ${workload.kind.toLowerCase()}/${workload.name} --type=strategic --patch-file=resources-patch.yaml`
+  };
+}
+
+module.exports = { DEFAULTS, percentile, recommendResources, computeRecommendations };
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { percentile, recommendResources, computeRecommendations } = require('./recommendations');
+
+test('percentile uses the nearest rank', () => {
+  const values = [50, 10, 40, 20, 30, 60, 70, 80, 90, 100];
+  assert.equal(percentile(values, 95), 100);
+  assert.equal(percentile(values, 90), 90);
+  assert.equal(percentile(values, 50), 50);
+  assert.equal(percentile(values, 0), 10);
+  assert.equal(percentile([7], 95), 7);
+  assert.equal(percentile([], 95), 0);
+});
+
+test('percentile does not reorder its input', () => {
+  const values = [3, 1, 2];
+  percentile(values, 50);
+  assert.deepEqual(values, [3, 1, 2]);
+});
+
+test('headroom is added and rounded up to 10m and 16Mi', () => {
+  const { basis, recommended } = recommendResources([100, 200, 300], [100, 250], { cpuPercentile: 95, headroom: 0.2 });
+  assert.deepEqual(basis, { cpuPercentile: 95, cpuObserved: 300, memMaxObserved: 250, headroom: 0.2 });
+  // 300 x 1.2 = 360m; 250 x 1.2 = 300 -> 304Mi
+  assert.deepEqual(recommended.requests, { cpu_millicores: 360, memory_mib: 304 });
+  assert.deepEqual(recommended.limits, { cpu_millicores: 1440, memory_mib: 608 });
+});
+
+test('requests never go below the minimums', () => {
+  const { recommended } = recommendResources([0, 1], [0, 2], { cpuPercentile: 95, headroom: 0.2 });
+  assert.deepEqual(recommended.requests, { cpu_millicores: 10, memory_mib: 32 });
+});
+
+function workloadPods(count, containers = ['app'], usage = { cpu_millicores: 100, memory_mib: 100 }) {
+  const pods = [];
+  const podData = [];
+  for (let i = 0; i < count; i++) {
+    pods.push({ spec: { containers: containers.map(name => ({ name })) } });
+    podData.push({
+      name: `web-${i}`,
+      workload: { kind: 'Deployment', name: 'web' },
+      requests: { cpu_millicores: 1000, memory_mib: 512 },
+      limits: { cpu_millicores: 1000, memory_mib: 512 },
+      usage
+    });
+  }
+  return { pods, podData };
+}
+
+test('live usage is not counted while metrics are unavailable', () => {
+  const { pods, podData } = workloadPods(4, ['app'], { cpu_millicores: 0, memory_mib: 0 });
+  const [rec] = computeRecommendations('ns', pods, podData, { hasMetrics: false });
+  assert.equal(rec.samples, 0);
+  assert.equal(rec.status, 'insufficient-data');
+
+  const [live] = computeRecommendations('ns', pods, podData, { hasMetrics: true });
+  assert.equal(live.samples, 4);
+  assert.equal(live.status, 'ok');
+});
+
+test('history samples of the workload pods are used', () => {
+  const { pods, podData } = workloadPods(1);
+  const samples = [100, 200, 300].map(cpu => ({ pods: { 'web-0': { cpu, mem: 64 }, 'other-0': { cpu: 5000, mem: 5000 } } }));
+  const [rec] = computeRecommendations('ns', pods, podData, { samples, hasMetrics: false, minSamples: 3 });
+  assert.equal(rec.samples, 3);
+  assert.equal(rec.basis.cpuObserved, 300);
+  assert.equal(rec.basis.memMaxObserved, 64);
+});
+
+test('single-container workloads get a patch for that container', () => {
+  const { pods, podData } = workloadPods(4);
+  const [rec] = computeRecommendations('app-ruim', pods, podData);
+  assert.match(rec.patch.yaml, /- name: app\n/);
+  assert.match(rec.patch.yaml, /cpu: "120m"/);
+  assert.equal(rec.patch.command, 'oc -n app-ruim patch deployment/web --type=strategic --patch-file=resources-patch.yaml');
+  assert.equal(rec.patchNote, null);
+});
+
+test('multi-container workloads get no patch and say why', () => {
+  const { pods, podData } = workloadPods(4, ['app', 'sidecar']);
+  const [rec] = computeRecommendations('ns', pods, podData);
+  assert.equal(rec.status, 'ok');
+  assert.equal(rec.patch, null);
+  assert.match(rec.patchNote, /2 containers/);
+});
@@ -0,0 +1,250 @@
+// --- Report export ---
+// Turns the dashboard payload of several namespaces into a downloadable
+// report: JSON (the full model), CSV (one flat table), Markdown or HTML.
+
+const FORMATS = {
+  json: { ext: 'json', contentType: 'application/json; charset=utf-8' },
+  csv: { ext: 'csv', contentType: 'text/csv; charset=utf-8' },
+  md: { ext: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { ext: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+function buildReport(namespaces) {
+  return {
+    generatedAt: new Date().toISOString(),
+    namespaces: namespaces.map(ns => ({
+      namespace: ns.namespace,
+      role: ns.role,
+      label: ns.label,
+      podCount: ns.podCount,
+      totals: ns.totals,
+      cpuWastePercent: ns.antiPatterns.cpuWastePercent,
+      memWastePercent: ns.antiPatterns.memWastePercent,
+      monthlyCost: ns.cost ? { currency: ns.cost.currency, ...ns.cost.monthly } : null,
+      sources: ns.sources || {},
+      pods: ns.pods.map(p => ({
+        name: p.name,
+        qosClass: p.qosClass,
+        requests: p.requests,
+        limits: p.limits,
+        usage: p.usage,
+        restartCount: p.restartCount,
+        lastTerminationReason: p.lastTerminationReason
+      })),
+      hpa: ns.hpa.map(h => ({
+        name: h.name,
+        minReplicas: h.minReplicas,
+        maxReplicas: h.maxReplicas,
+        currentReplicas: h.currentReplicas,
+        currentCPUPercent: h.currentCPUPercent,
+        targetCPUPercent: h.targetCPUPercent
+      })),
+      findings: ns.findings || [],
+      oomKills: oomKillsOf(ns)
+    }))
+  };
+}
+
+// Containers whose last termination was an OOMKill, plus OOM-related events
+function oomKillsOf(ns) {
+  const fromPods = ns.pods.flatMap(p => (p.containers || [])
+    .filter(c => c.lastTerminationReason === 'OOMKilled')
+    .map(c => ({
+      source: 'pod',
+      pod: p.name,
+      container: c.name,
+      at: c.lastTerminatedAt ? new Date(c.lastTerminatedAt).toISOString() : null,
+      restartCount: c.restartCount
+    })));
+  const fromEvents = (ns.events || [])
+    .filter(e => /oom/i.test(e.reason || ''))
+    .map(e => ({ source: 'event', object: e.object, reason: e.reason, message: e.message, count: e.count, at: e.lastSeen }));
+  return [...fromPods, ...fromEvents];
+}
+
+// Waste is null when the Metrics API was unavailable
+function wasteText(ns) {
+  return ns.cpuWastePercent === null
+    ? 'indisponível (sem métricas)'
+    : `CPU ${ns.cpuWastePercent}%, Memória ${ns.memWastePercent}%`;
+}
+
+function formatReport(report, format) {
+  if (format === 'csv') return toCSV(report);
+  if (format === 'md') return toMarkdown(report);
+  if (format === 'html') return toHTML(report);
+  return JSON.stringify(report, null, 2);
+}
+
+// --- CSV: one table, the "record" column tells what each row is ---
+const CSV_COLUMNS = ['namespace', 'record', 'name', 'cpu_usage_m', 'cpu_request_m', 'cpu_limit_m',
+  'mem_usage_mi', 'mem_request_mi', 'mem_limit_mi', 'restarts', 'detail'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCSV(report) {
+  const rows = [CSV_COLUMNS];
+  const resources = (r) => [r.usage.cpu_millicores, r.requests.cpu_millicores, r.limits.cpu_millicores,
+    r.usage.memory_mib, r.requests.memory_mib, r.limits.memory_mib];
+  const blank = ['', '', '', '', '', ''];
+
+  for (const ns of report.namespaces) {
+    rows.push([ns.namespace, 'namespace', ns.label, ...resources(ns.totals), '',
+      ns.cpuWastePercent === null ? 'waste unavailable (no metrics)' : `waste cpu ${ns.cpuWastePercent}% mem ${ns.memWastePercent}%`]);
+    for (const p of ns.pods) {
+      rows.push([ns.namespace, 'pod', p.name, ...resources(p), p.restartCount,
+        [p.qosClass, p.lastTerminationReason].filter(Boolean).join(' ')]);
+    }
+    for (const h of ns.hpa) {
+      rows.push([ns.namespace, 'hpa', h.name, ...blank, '',
+        `replicas ${h.currentReplicas} (${h.minReplicas}-${h.maxReplicas}) cpu ${h.currentCPUPercent ?? '-'}%/${h.targetCPUPercent ?? '-'}%`]);
+    }
+    for (const f of ns.findings) {
+      rows.push([ns.namespace, 'finding', f.rule, ...blank, '', `[${f.severity}] ${f.target}: ${f.message}`]);
+    }
+    for (const o of ns.oomKills) {
+      rows.push([ns.namespace, 'oomkill', o.pod ? `${o.pod}/${o.container}` : o.object, ...blank,
+        o.restartCount ?? o.count, o.at || '']);
+    }
+  }
+  return rows.map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// --- Markdown ---
+function mdTable(header, rows) {
+  const cell = (v) => String(v ?? '--').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map(r => `| ${r.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function toMarkdown(report) {
+  const out = ['# Relatório de Recursos', '', `Gerado em ${report.generatedAt}`, ''];
+  for (const ns of report.namespaces) {
+    const t = ns.totals;
+    out.push(`## ${ns.namespace} -- ${ns.label}`, '');
+    out.push(mdTable(['', 'Uso', 'Requests', 'Limits'], [
+      ['CPU', `${t.usage.cpu_millicores}m`, `${t.requests.cpu_millicores}m`, `${t.limits.cpu_millicores}m`],
+      ['Memória', `${t.usage.memory_mib} Mi`, `${t.requests.memory_mib} Mi`, `${t.limits.memory_mib} Mi`]
+    ]), '');
+    out.push(`Desperdício: ${wasteText(ns)}`);
+    if (ns.monthlyCost) {
+      const c = ns.monthlyCost;
+      out.push(`Custo mensal estimado: ${c.currency} ${c.requested} reservado, ${c.used ?? '--'} usado, ${c.idle ?? '--'} ocioso`);
+    }
+    out.push('', '### Pods', '');
+    out.push(mdTable(['Pod', 'QoS', 'CPU uso/req/lim', 'Mem uso/req/lim', 'Restarts', 'Motivo'], ns.pods.map(p => [
+      p.name, p.qosClass,
+      `${p.usage.cpu_millicores}m / ${p.requests.cpu_millicores}m / ${p.limits.cpu_millicores}m`,
+      `${p.usage.memory_mib} / ${p.requests.memory_mib} / ${p.limits.memory_mib} Mi`,
+      p.restartCount, p.lastTerminationReason
+    ])), '');
+    if (ns.hpa.length) {
+      out.push('### HPA', '');
+      out.push(mdTable(['HPA', 'Réplicas', 'Min-Max', 'CPU atual', 'CPU alvo'], ns.hpa.map(h => [
+        h.name, h.currentReplicas, `${h.minReplicas}-${h.maxReplicas}`,
+        h.currentCPUPercent === null ? null : `${h.currentCPUPercent}%`,
+        h.targetCPUPercent === null ? null : `${h.targetCPUPercent}%`
+      ])), '');
+    }
+    out.push('### Anti-patterns', '');
+    if (ns.findings.length) {
+      ns.findings.forEach(f => out.push(`- **[${f.severity}] ${f.message}** (${f.target}) -- ${f.remediation}`));
+    } else {
+      out.push('Nenhum anti-pattern detectado.');
+    }
+    out.push('');
+    if (ns.oomKills.length) {
+      out.push('### OOMKills', '');
+      ns.oomKills.forEach(o => out.push(o.source === 'pod'
+        ? `- ${o.pod}/${o.container} -- ${o.at || 'horário desconhecido'} (${o.restartCount} restart(s))`
+        : `- ${o.object}: ${o.reason} x${o.count} -- ${o.at}`));
+      out.push('');
+    }
+  }
+  return out.join('\n');
+}
+
+// --- HTML: standalone page, readable offline ---
+function escapeHtml(str) {
+  return String(str ?? '--')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlTable(header, rows) {
+  return `<table><thead><tr>${header.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('\n')}</tbody></table>`;
+}
+
+function toHTML(report) {
+  const sections = report.namespaces.map(ns => {
+    const t = ns.totals;
+    return `<section class="${escapeHtml(ns.role || 'neutral')}">
+<h2>${escapeHtml(ns.namespace)} <small>${escapeHtml(ns.label)}</small></h2>
+${htmlTable(['', 'Uso', 'Requests', 'Limits'], [
+    ['CPU', `${t.usage.cpu_millicores}m`, `${t.requests.cpu_millicores}m`, `${t.limits.cpu_millicores}m`],
+    ['Memória', `${t.usage.memory_mib} Mi`, `${t.requests.memory_mib} Mi`, `${t.limits.memory_mib} Mi`]
+  ])}
+<p>Desperdício: ${escapeHtml(wasteText(ns))}${ns.monthlyCost
+    ? ` -- custo mensal estimado ${escapeHtml(ns.monthlyCost.currency)} ${ns.monthlyCost.requested} (ocioso: ${ns.monthlyCost.idle ?? '--'})`
+    : ''}</p>
+<h3>Pods</h3>
+${htmlTable(['Pod', 'QoS', 'CPU uso/req/lim', 'Mem uso/req/lim', 'Restarts', 'Motivo'], ns.pods.map(p => [
+    p.name, p.qosClass,
+    `${p.usage.cpu_millicores}m / ${p.requests.cpu_millicores}m / ${p.limits.cpu_millicores}m`,
+    `${p.usage.memory_mib} / ${p.requests.memory_mib} / ${p.limits.memory_mib} Mi`,
+    p.restartCount, p.lastTerminationReason
+  ]))}
+${ns.hpa.length ? `<h3>HPA</h3>
+${htmlTable(['HPA', 'Réplicas', 'Min-Max', 'CPU atual', 'CPU alvo'], ns.hpa.map(h => [
+    h.name, h.currentReplicas, `${h.minReplicas}-${h.maxReplicas}`,
+    h.currentCPUPercent === null ? null : `${h.currentCPUPercent}%`,
+    h.targetCPUPercent === null ? null : `${h.targetCPUPercent}%`
+  ]))}` : ''}
+<h3>Anti-patterns</h3>
+${ns.findings.length
+    ? `<ul>${ns.findings.map(f => `<li class="${escapeHtml(f.severity)}"><strong>${escapeHtml(f.message)}</strong> (${escapeHtml(f.target)})<br>${escapeHtml(f.remediation)}</li>`).join('')}</ul>`
+    : '<p>Nenhum anti-pattern detectado.</p>'}
+${ns.oomKills.length ? `<h3>OOMKills</h3>
+<ul>${ns.oomKills.map(o => `<li>${o.source === 'pod'
+    ? `${escapeHtml(o.pod)}/${escapeHtml(o.container)} -- ${escapeHtml(o.at || 'horário desconhecido')} (${o.restartCount} restart(s))`
+    : `${escapeHtml(o.object)}: ${escapeHtml(o.reason)} x${o.count} -- ${escapeHtml(o.at)}`}</li>`).join('')}</ul>` : ''}
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="UTF-8">
+<title>Relatório de Recursos</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', sans-serif; color: #1a2a36; max-width: 960px; margin: 24px auto; padding: 0 16px; }
+  section { border-left: 4px solid #8fa3b0; padding-left: 16px; margin-bottom: 32px; }
+  section.bad { border-color: #c0392b; }
+  section.good { border-color: #1e8449; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.85rem; margin-bottom: 12px; }
+  th, td { border: 1px solid #e2e8f0; padding: 4px 8px; text-align: left; }
+  th { background: #f0f4f8; }
+  li.critical strong { color: #c0392b; }
+  small { color: #6b7f8e; font-weight: normal; }
+</style>
+</head>
+<body>
+<h1>Relatório de Recursos</h1>
+<p>Gerado em ${escapeHtml(report.generatedAt)}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+module.exports = { FORMATS, buildReport, formatReport };
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildReport, formatReport } = require('./report');
+
+const resources = (cpu, mem) => ({ cpu_millicores: cpu, memory_mib: mem });
+
+function namespace(overrides = {}) {
+  return {
+    namespace: 'app-ruim',
+    role: 'bad',
+    label: 'Práticas Ruins',
+    podCount: 1,
+    totals: { usage: resources(100, 64), requests: resources(2000, 1024), limits: resources(2000, 1024) },
+    antiPatterns: { cpuWastePercent: 95, memWastePercent: 94 },
+    cost: null,
+    sources: {},
+    pods: [{
+      name: 'stress-app-1',
+      qosClass: 'Guaranteed',
+      requests: resources(2000, 1024),
+      limits: resources(2000, 1024),
+      usage: resources(100, 64),
+      restartCount: 2,
+      lastTerminationReason: 'OOMKilled',
+      containers: [{ name: 'app', lastTerminationReason: 'OOMKilled', lastTerminatedAt: '2026-01-01T10:00:00Z', restartCount: 2 }]
+    }],
+    hpa: [{ name: 'stress-app', minReplicas: 1, maxReplicas: 5, currentReplicas: 1, currentCPUPercent: null, targetCPUPercent: 70 }],
+    findings: [{ rule: 'cpu-waste', severity: 'warning', target: 'namespace', message: 'Desperdício de CPU', remediation: 'Reduza' }],
+    events: [{ object: 'pod/stress-app-1', reason: 'OOMKilling', message: 'Memory cgroup out of memory', count: 3, lastSeen: '2026-01-01T10:00:05Z' }],
+    ...overrides
+  };
+}
+
+test('buildReport collects OOMKills from containers and events', () => {
+  const [ns] = buildReport([namespace()]).namespaces;
+  assert.deepEqual(ns.oomKills, [
+    { source: 'pod', pod: 'stress-app-1', container: 'app', at: '2026-01-01T10:00:00.000Z', restartCount: 2 },
+    { source: 'event', object: 'pod/stress-app-1', reason: 'OOMKilling', message: 'Memory cgroup out of memory', count: 3, at: '2026-01-01T10:00:05Z' }
+  ]);
+  assert.equal(ns.monthlyCost, null);
+});
+
+test('JSON is the report model', () => {
+  const report = buildReport([namespace()]);
+  assert.deepEqual(JSON.parse(formatReport(report, 'json')), report);
+});
+
+test('CSV has one header and one row per record', () => {
+  const lines = formatReport(buildReport([namespace()]), 'csv').trimEnd().split('\n');
+  assert.equal(lines[0], 'namespace,record,name,cpu_usage_m,cpu_request_m,cpu_limit_m,mem_usage_mi,mem_request_mi,mem_limit_mi,restarts,detail');
+  assert.deepEqual(lines.slice(1).map(l => l.split(',')[1]), ['namespace', 'pod', 'hpa', 'finding', 'oomkill', 'oomkill']);
+  assert.equal(lines[2], 'app-ruim,pod,stress-app-1,100,2000,2000,64,1024,1024,2,Guaranteed OOMKilled');
+});
+
+test('CSV quotes commas, quotes and line breaks', () => {
+  const findings = [{ rule: 'r', severity: 'info', target: 't', message: 'a, "b"\r\nc', remediation: '' }];
+  const csv = formatReport(buildReport([namespace({ findings, hpa: [], events: [], pods: [] })]), 'csv');
+  assert.ok(csv.includes('app-ruim,finding,r,,,,,,,,"[info] t: a, ""b""\r\nc"\n'));
+});
+
+test('CSV marks waste as unavailable without metrics', () => {
+  const csv = formatReport(buildReport([namespace({ antiPatterns: { cpuWastePercent: null, memWastePercent: null } })]), 'csv');
+  assert.match(csv, /^app-ruim,namespace,Práticas Ruins,.*,waste unavailable \(no metrics\)$/m);
+});
+
+test('Markdown escapes pipes and flattens line breaks in table cells', () => {
+  const pods = [{ ...namespace().pods[0], name: 'a|b', lastTerminationReason: 'line\r\nbreak' }];
+  const md = formatReport(buildReport([namespace({ pods })]), 'md');
+  assert.match(md, /^\| a\\\|b \| Guaranteed \| .* \| line break \|$/m);
+  assert.match(md, /^\| stress-app \| 1 \| 1-5 \| -- \| 70% \|$/m);
+  assert.match(md, /^- \*\*\[warning\] Desperdício de CPU\*\* \(namespace\) -- Reduza$/m);
+});
+
+test('HTML escapes every value taken from the cluster', () => {
+  const evil = '<script>alert("x")</script>&';
+  const html = formatReport(buildReport([namespace({
+    label: evil,
+    role: '"><img>',
+    pods: [{ ...namespace().pods[0], name: evil }],
+    findings: [{ rule: 'r', severity: evil, target: evil, message: evil, remediation: evil }],
+    events: [{ object: evil, reason: 'OOM', message: '', count: 1, lastSeen: evil }]
+  })]), 'html');
+  assert.doesNotMatch(html, /<script>|<img>/);
+  assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;&amp;'));
+  assert.ok(html.includes('<section class="&quot;&gt;&lt;img&gt;">'));
+});
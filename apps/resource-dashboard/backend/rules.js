@@ -0,0 +1,257 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+// --- Anti-pattern rule engine ---
+// Each rule inspects one namespace (pods, HPAs, PDBs, totals) and returns
+// findings: { rule, severity, target, message, remediation }.
+// Rules can be disabled, re-graded or tuned from a JSON/YAML file:
+//
+//   rules:
+//     cpu-waste:
+//       severity: critical
+//       params: { thresholdPercent: 70 }
+//     single-replica-without-pdb:
+//       enabled: false
+
+const SEVERITIES = ['critical', 'warning', 'info'];
+
+const RULES = [
+  {
+    id: 'missing-requests',
+    severity: 'warning',
+    description: 'Container sem requests de CPU ou memória',
+    check({ rawPods }) {
+      return eachContainer(rawPods, (pod, c) => {
+        const missing = ['cpu', 'memory'].filter(r => !c.resources?.requests?.[r]);
+        if (missing.length === 0) return null;
+        return {
+          target: `${pod.metadata.name}/${c.name}`,
+          message: `Container ${c.name} sem request de ${missing.join(' e ')}`,
+          remediation: 'Defina resources.requests com base no uso observado; sem requests o scheduler não reserva capacidade e o HPA não calcula utilização'
+        };
+      });
+    }
+  },
+  {
+    id: 'missing-limits',
+    severity: 'warning',
+    description: 'Container sem limits de CPU ou memória',
+    check({ rawPods }) {
+      return eachContainer(rawPods, (pod, c) => {
+        const missing = ['cpu', 'memory'].filter(r => !c.resources?.limits?.[r]);
+        if (missing.length === 0) return null;
+        return {
+          target: `${pod.metadata.name}/${c.name}`,
+          message: `Container ${c.name} sem limit de ${missing.join(' e ')}`,
+          remediation: 'Defina resources.limits (ou um LimitRange no namespace) para que um pod não consuma o node inteiro'
+        };
+      });
+    }
+  },
+  {
+    id: 'besteffort-qos',
+    severity: 'warning',
+    description: 'Pod com QoS BestEffort',
+    check({ rawPods }) {
+      return rawPods
+        .filter(p => p.status?.qosClass === 'BestEffort')
+        .map(p => ({
+          target: p.metadata.name,
+          message: `Pod ${p.metadata.name} é BestEffort -- é o primeiro a ser despejado sob pressão de memória`,
+          remediation: 'Defina requests (e limits) para que o pod seja Burstable ou Guaranteed'
+        }));
+    }
+  },
+  {
+    id: 'requests-equals-limits',
+    severity: 'warning',
+    description: 'Todos os pods com requests = limits',
+    check({ antiPatterns }) {
+      if (!antiPatterns.requestsEqualsLimits) return [];
+      return [{
+        target: 'namespace',
+        message: 'Requests = Limits (QoS Guaranteed) -- o Kubernetes não pode realocar recursos ociosos',
+        remediation: 'Use requests próximos do uso real e limits maiores para permitir burst'
+      }];
+    }
+  },
+  {
+    id: 'cpu-waste',
+    severity: 'warning',
+    description: 'Fração dos requests de CPU que não é usada',
+    params: { thresholdPercent: 50 },
+    check({ antiPatterns, idle }, { thresholdPercent }) {
+      if (idle || antiPatterns.cpuWastePercent <= thresholdPercent) return [];
+      return [{
+        target: 'namespace',
+        message: `Desperdício de CPU: ${antiPatterns.cpuWastePercent}% dos requests não são utilizados`,
+        remediation: 'Reduza os requests de CPU para perto do p95 de uso (veja "Sugestão de Resources")'
+      }];
+    }
+  },
+  {
+    id: 'memory-waste',
+    severity: 'warning',
+    description: 'Fração dos requests de memória que não é usada',
+    params: { thresholdPercent: 50 },
+    check({ antiPatterns, idle }, { thresholdPercent }) {
+      if (idle || antiPatterns.memWastePercent <= thresholdPercent) return [];
+      return [{
+        target: 'namespace',
+        message: `Desperdício de Memória: ${antiPatterns.memWastePercent}% dos requests não são utilizados`,
+        remediation: 'Reduza os requests de memória para perto do pico observado, com folga'
+      }];
+    }
+  },
+  {
+    id: 'hpa-stuck',
+    severity: 'critical',
+    description: 'HPA que nunca atinge o target por causa de requests altos',
+    params: { cpuWastePercent: 80 },
+    check({ hpas, antiPatterns, idle }, { cpuWastePercent }) {
+      if (idle || hpas.length === 0 || antiPatterns.cpuWastePercent <= cpuWastePercent) return [];
+      return hpas.map(h => ({
+        target: `hpa/${h.name}`,
+        message: 'HPA travado -- com requests tão altos, a % de uso nunca atinge o threshold',
+        remediation: `Reduza os requests de CPU: o HPA mede uso / request, e ${h.targetCPUPercent ?? '--'}% de um request superdimensionado nunca é atingido`
+      }));
+    }
+  },
+  {
+    id: 'no-hpa',
+    severity: 'info',
+    description: 'Deployment sem HPA',
+    check({ pods, hpas }) {
+      // kind/name, so an HPA on StatefulSet/web does not cover Deployment/web
+      const scaled = new Set(hpas.filter(h => h.scaleTargetRef).map(h => `${h.scaleTargetRef.kind}/${h.scaleTargetRef.name}`));
+      const deployments = [...new Set(pods.filter(p => p.workload.kind === 'Deployment').map(p => p.workload.name))];
+      return deployments
+        .filter(name => !scaled.has(`Deployment/${name}`))
+        .map(name => ({
+          target: `deployment/${name}`,
+          message: `Deployment ${name} sem HorizontalPodAutoscaler`,
+          remediation: 'Crie um HPA com target de utilização de CPU para absorver picos de carga'
+        }));
+    }
+  },
+  {
+    id: 'memory-limit-below-usage',
+    severity: 'critical',
+    description: 'Uso de memória próximo ou acima do limit',
+    params: { thresholdPercent: 90 },
+    check({ pods }, { thresholdPercent }) {
+      return pods
+        .filter(p => p.lastTerminationReason === 'OOMKilled' ||
+          (p.limits.memory_mib > 0 && p.usage.memory_mib >= p.limits.memory_mib * thresholdPercent / 100))
+        .map(p => ({
+          target: p.name,
+          message: p.lastTerminationReason === 'OOMKilled'
+            ? `Pod ${p.name} foi OOMKilled -- o limit de ${p.limits.memory_mib} Mi é menor que o uso real`
+            : `Pod ${p.name} usa ${p.usage.memory_mib} Mi de ${p.limits.memory_mib} Mi de limit`,
+          remediation: 'Aumente o limit de memória acima do pico observado, ou investigue vazamento de memória'
+        }));
+    }
+  },
+  {
+    id: 'single-replica-without-pdb',
+    severity: 'info',
+    description: 'Workload com uma única réplica e sem PodDisruptionBudget',
+    check({ pods, rawPods, pdbs }) {
+      const byWorkload = {};
+      pods.forEach((p, i) => {
+        const key = `${p.workload.kind.toLowerCase()}/${p.workload.name}`;
+        (byWorkload[key] = byWorkload[key] || []).push(rawPods[i]);
+      });
+      return Object.entries(byWorkload)
+        .filter(([, members]) => members.length === 1)
+        .filter(([, members]) => !pdbs.some(pdb => selectorMatches(pdb.spec?.selector, members[0].metadata.labels || {})))
+        .map(([key]) => ({
+          target: key,
+          message: `${key} roda com 1 réplica e sem PodDisruptionBudget -- fica indisponível durante drain de node`,
+          remediation: 'Rode ao menos 2 réplicas e crie um PodDisruptionBudget com minAvailable: 1'
+        }));
+    }
+  }
+];
+
+function eachContainer(rawPods, fn) {
+  const out = [];
+  for (const pod of rawPods) {
+    for (const c of pod.spec?.containers || []) {
+      const finding = fn(pod, c);
+      if (finding) out.push(finding);
+    }
+  }
+  return out;
+}
+
+// Minimal LabelSelector matching (matchLabels + In/NotIn/Exists/DoesNotExist)
+function selectorMatches(selector, labels) {
+  if (!selector) return false;
+  for (const [k, v] of Object.entries(selector.matchLabels || {})) {
+    if (labels[k] !== v) return false;
+  }
+  for (const expr of selector.matchExpressions || []) {
+    const has = Object.prototype.hasOwnProperty.call(labels, expr.key);
+    const values = expr.values || [];
+    if (expr.operator === 'In' && !(has && values.includes(labels[expr.key]))) return false;
+    if (expr.operator === 'NotIn' && has && values.includes(labels[expr.key])) return false;
+    if (expr.operator === 'Exists' && !has) return false;
+    if (expr.operator === 'DoesNotExist' && has) return false;
+  }
+  return true;
+}
+
+// Read the rules config; JSON or YAML by extension. Missing file = defaults.
+function loadRulesConfig(file) {
+  if (!file) return {};
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    const parsed = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+    const rules = parsed?.rules || {};
+    for (const [id, cfg] of Object.entries(rules)) {
+      if (!RULES.find(r => r.id === id)) console.warn(`[rules] Regra desconhecida em ${file}: ${id}`);
+      if (cfg?.severity && !SEVERITIES.includes(cfg.severity)) {
+        console.warn(`[rules] Severidade inválida para ${id}: ${cfg.severity}`);
+        delete cfg.severity;
+      }
+    }
+    console.log(`[rules] Configuração carregada de ${file}`);
+    return rules;
+  } catch (err) {
+    console.error(`[rules] Falha ao ler ${file}:`, err.message);
+    return {};
+  }
+}
+
+function evaluateRules(ctx, config = {}) {
+  const findings = [];
+  for (const rule of RULES) {
+    const cfg = config[rule.id] || {};
+    if (cfg.enabled === false) continue;
+    const params = { ...rule.params, ...cfg.params };
+    let results;
+    try {
+      results = rule.check(ctx, params) || [];
+    } catch (err) {
+      console.error(`[rules] Regra ${rule.id} falhou:`, err.message);
+      continue;
+    }
+    for (const r of results) {
+      findings.push({ rule: rule.id, severity: cfg.severity || rule.severity, ...r });
+    }
+  }
+  return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+function describeRules(config = {}) {
+  return RULES.map(r => ({
+    id: r.id,
+    description: r.description,
+    enabled: config[r.id]?.enabled !== false,
+    severity: config[r.id]?.severity || r.severity,
+    params: { ...r.params, ...config[r.id]?.params }
+  }));
+}
+
+module.exports = { evaluateRules, loadRulesConfig, describeRules, selectorMatches };
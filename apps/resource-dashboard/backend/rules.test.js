@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { evaluateRules, loadRulesConfig, describeRules, selectorMatches } = require('./rules');
+
+function rawPod(name, resources, labels = {}) {
+  return {
+    metadata: { name, labels },
+    spec: { containers: [{ name: 'app', resources }] },
+    status: { qosClass: resources.requests ? 'Burstable' : 'BestEffort' }
+  };
+}
+
+function podRow(name, overrides = {}) {
+  return {
+    name,
+    workload: { kind: 'Deployment', name: 'web' },
+    limits: { cpu_millicores: 1000, memory_mib: 512 },
+    usage: { cpu_millicores: 100, memory_mib: 100 },
+    lastTerminationReason: null,
+    ...overrides
+  };
+}
+
+const sized = { requests: { cpu: '100m', memory: '128Mi' }, limits: { cpu: '500m', memory: '512Mi' } };
+
+function ctx(overrides = {}) {
+  return {
+    rawPods: [rawPod('web-1', sized, { app: 'web' }), rawPod('web-2', sized, { app: 'web' })],
+    pods: [podRow('web-1'), podRow('web-2')],
+    hpas: [{ name: 'web', targetCPUPercent: 70, scaleTargetRef: { kind: 'Deployment', name: 'web' } }],
+    pdbs: [],
+    antiPatterns: { requestsEqualsLimits: false, cpuWastePercent: 20, memWastePercent: 20 },
+    idle: false,
+    ...overrides
+  };
+}
+
+const ids = (findings) => findings.map(f => f.rule);
+
+test('a well-sized namespace has no findings', () => {
+  assert.deepEqual(evaluateRules(ctx()), []);
+});
+
+test('missing requests and limits are reported per container', () => {
+  const findings = evaluateRules(ctx({ rawPods: [rawPod('web-1', { limits: { cpu: '1' } }), rawPod('web-2', sized)] }));
+  const missing = findings.filter(f => f.rule === 'missing-requests' || f.rule === 'missing-limits');
+  assert.deepEqual(missing.map(f => f.message), [
+    'Container app sem request de cpu e memory',
+    'Container app sem limit de memory'
+  ]);
+  assert.ok(ids(findings).includes('besteffort-qos'));
+});
+
+test('waste rules fire above the threshold and are skipped while idle', () => {
+  const antiPatterns = { requestsEqualsLimits: false, cpuWastePercent: 85, memWastePercent: 60 };
+  assert.deepEqual(ids(evaluateRules(ctx({ antiPatterns }))), ['hpa-stuck', 'cpu-waste', 'memory-waste']);
+  assert.deepEqual(evaluateRules(ctx({ antiPatterns, idle: true })), []);
+});
+
+test('waste rules ignore unknown waste', () => {
+  const antiPatterns = { requestsEqualsLimits: false, cpuWastePercent: null, memWastePercent: null };
+  assert.deepEqual(evaluateRules(ctx({ antiPatterns })), []);
+});
+
+test('findings are sorted by severity', () => {
+  const findings = evaluateRules(ctx({
+    hpas: [],
+    antiPatterns: { requestsEqualsLimits: true, cpuWastePercent: 20, memWastePercent: 20 },
+    pods: [podRow('web-1', { lastTerminationReason: 'OOMKilled' }), podRow('web-2')]
+  }));
+  assert.deepEqual(findings.map(f => f.severity), ['critical', 'warning', 'info']);
+  assert.deepEqual(ids(findings), ['memory-limit-below-usage', 'requests-equals-limits', 'no-hpa']);
+});
+
+test('an HPA on another kind with the same name does not cover the Deployment', () => {
+  const hpas = [{ name: 'web', targetCPUPercent: 70, scaleTargetRef: { kind: 'StatefulSet', name: 'web' } }];
+  const findings = evaluateRules(ctx({ hpas }));
+  assert.deepEqual(ids(findings), ['no-hpa']);
+  assert.equal(findings[0].target, 'deployment/web');
+});
+
+test('memory usage near the limit is critical', () => {
+  const findings = evaluateRules(ctx({ pods: [podRow('web-1', { usage: { cpu_millicores: 1, memory_mib: 470 } }), podRow('web-2')] }));
+  assert.deepEqual(findings.map(f => f.target), ['web-1']);
+  assert.equal(findings[0].message, 'Pod web-1 usa 470 Mi de 512 Mi de limit');
+});
+
+test('a single replica is fine with a matching PodDisruptionBudget', () => {
+  const single = { rawPods: [rawPod('web-1', sized, { app: 'web' })], pods: [podRow('web-1')] };
+  assert.deepEqual(ids(evaluateRules(ctx(single))), ['single-replica-without-pdb']);
+  const pdbs = [{ spec: { selector: { matchLabels: { app: 'web' } } } }];
+  assert.deepEqual(evaluateRules(ctx({ ...single, pdbs })), []);
+});
+
+test('config disables, re-grades and tunes rules', () => {
+  const antiPatterns = { requestsEqualsLimits: false, cpuWastePercent: 60, memWastePercent: 60 };
+  const findings = evaluateRules(ctx({ antiPatterns }), {
+    'cpu-waste': { severity: 'critical' },
+    'memory-waste': { params: { thresholdPercent: 70 } },
+    'hpa-stuck': { enabled: false }
+  });
+  assert.deepEqual(findings.map(f => [f.rule, f.severity]), [['cpu-waste', 'critical']]);
+});
+
+test('a failing rule is skipped', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const findings = evaluateRules(ctx({ rawPods: null }));
+  assert.ok(!ids(findings).includes('missing-requests'));
+});
+
+test('describeRules merges config over the defaults', () => {
+  const rule = describeRules({ 'cpu-waste': { enabled: false, params: { thresholdPercent: 70 } } })
+    .find(r => r.id === 'cpu-waste');
+  assert.deepEqual(rule, {
+    id: 'cpu-waste',
+    description: 'Fração dos requests de CPU que não é usada',
+    enabled: false,
+    severity: 'warning',
+    params: { thresholdPercent: 70 }
+  });
+});
+
+test('selectorMatches supports matchLabels and matchExpressions', () => {
+  const labels = { app: 'web', tier: 'front' };
+  assert.equal(selectorMatches(null, labels), false);
+  assert.equal(selectorMatches({ matchLabels: { app: 'web' } }, labels), true);
+  assert.equal(selectorMatches({ matchLabels: { app: 'api' } }, labels), false);
+  assert.equal(selectorMatches({ matchExpressions: [{ key: 'tier', operator: 'In', values: ['front', 'back'] }] }, labels), true);
+  assert.equal(selectorMatches({ matchExpressions: [{ key: 'tier', operator: 'NotIn', values: ['front'] }] }, labels), false);
+  assert.equal(selectorMatches({ matchExpressions: [{ key: 'zone', operator: 'Exists' }] }, labels), false);
+  assert.equal(selectorMatches({ matchExpressions: [{ key: 'zone', operator: 'DoesNotExist' }] }, labels), true);
+});
+
+test('loadRulesConfig reads YAML and drops invalid severities', (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'rules.yaml');
+  fs.writeFileSync(file, 'rules:\n  cpu-waste:\n    severity: urgent\n    params: { thresholdPercent: 70 }\n');
+  assert.deepEqual(loadRulesConfig(file), { 'cpu-waste': { params: { thresholdPercent: 70 } } });
+});
+
+test('loadRulesConfig falls back to defaults without a readable file', (t) => {
+  t.mock.method(console, 'error', () => {});
+  assert.deepEqual(loadRulesConfig(undefined), {});
+  assert.deepEqual(loadRulesConfig('/nonexistent/rules.json'), {});
+});
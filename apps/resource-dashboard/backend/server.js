@@ -1,12 +1,30 @@
 const express = require('express');
 const k8s = require('@kubernetes/client-node');
 const path = require('path');
+const { evaluateRules, loadRulesConfig, describeRules } = require('./rules');
+const { FORMATS, buildReport, formatReport } = require('./report');
+const { createAlertManager, parseWebhooks } = require('./alerts');
+const { createAuth } = require('./auth');
+const { simulateHPA, parseSimulationParams } = require('./simulator');
+const { collectMetrics } = require('./metrics');
+const { computeRecommendations } = require('./recommendations');
+const { parseLimitRangerAnnotation } = require('./limitranger');
+const { summarizeEvents } = require('./events');
+const { workloadOf, buildWorkloads } = require('./workloads');
+const { createSourceFetcher } = require('./sources');
+const { createRingBuffer, parseWindow } = require('./history');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-// Namespaces to monitor
-const NAMESPACES = (process.env.WATCH_NAMESPACES || 'app-ruim,app-bom').split(',');
+// Namespaces to monitor: the fixed WATCH_NAMESPACES list, plus every namespace
+// matching NAMESPACE_SELECTOR (e.g. "workshop.demo/role in (good,bad)") when set
+const NAMESPACES = (process.env.WATCH_NAMESPACES || 'app-ruim,app-bom').split(',').map(ns => ns.trim()).filter(Boolean);
+const NAMESPACE_SELECTOR = process.env.NAMESPACE_SELECTOR || '';
+
+// Label or annotation that classifies a namespace as a good/bad practice example
+const ROLE_KEY = process.env.NAMESPACE_ROLE_KEY || 'workshop.demo/role';
+const NAMESPACE_NAME_RE = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
 
 // K8s client setup
 const kc = new k8s.KubeConfig();
@@ -15,6 +33,8 @@ kc.loadFromDefault(); // Uses in-cluster config or ~/.kube/config
 const coreApi = kc.makeApiClient(k8s.CoreV1Api);
 const appsApi = kc.makeApiClient(k8s.AppsV1Api);
 const autoscalingApi = kc.makeApiClient(k8s.AutoscalingV2Api);
+const customApi = kc.makeApiClient(k8s.CustomObjectsApi);
+const policyApi = kc.makeApiClient(k8s.PolicyV1Api);
 const metricsApi = new k8s.Metrics(kc);
 
 // Serve static frontend
@@ -26,6 +46,22 @@ const fs = require('fs');
 const staticPath = fs.existsSync(frontendPath) ? frontendPath : altFrontendPath;
 app.use(express.static(staticPath));
 
+// --- Authentication (optional) ---
+// AUTH_MODE=token: every /api call needs the caller's token (see auth.js) and
+// only returns namespaces the caller can list pods in. /metrics and /health
+// stay open for Prometheus and the probes. Not available in replay mode.
+const AUTH_MODE = process.env.AUTH_MODE || 'none';
+const AUTH_CACHE_TTL_MS = parseInt(process.env.AUTH_CACHE_TTL_MS) || 60000;
+const auth = AUTH_MODE === 'token' && !process.env.DASHBOARD_REPLAY
+  ? createAuth(kc, { cacheTtlMs: AUTH_CACHE_TTL_MS })
+  : null;
+if (auth) app.use('/api', auth.authenticate);
+
+// Namespaces of `names` the caller may see (all of them without auth)
+async function visibleNames(req, names) {
+  return req.user ? auth.visibleNamespaces(req.user, names) : names;
+}
+
 // --- Helper: parse CPU string to millicores ---
 function parseCPU(cpuStr) {
   if (!cpuStr) return 0;
@@ -50,41 +86,713 @@ function parseMemory(memStr) {
   return parseInt(memStr) / (1024 * 1024);
 }
 
-// --- API: Get data for all watched namespaces ---
+// --- Watch cache: pods, HPAs and events per namespace ---
+// Each watched namespace keeps a pod, an HPA and an event informer. Reads come from the
+// informer cache once it has synced; until then we fall back to a plain list.
+// Pod metrics cannot be watched, so they are polled on METRICS_INTERVAL_MS.
+const METRICS_INTERVAL_MS = parseInt(process.env.METRICS_INTERVAL_MS) || 15000;
+const PUSH_DEBOUNCE_MS = 1000;
+const SSE_HEARTBEAT_MS = 25000; // below the OpenShift router's 30s idle timeout
+
+const watchers = {};   // ns -> { pods, hpa, events, synced: { pods, hpa, events } }
+const snapshots = {};  // ns -> latest getNamespaceData() result
+const pushTimers = {}; // ns -> pending debounce timer
+const demand = {};     // ns -> number of SSE clients that picked it explicitly
+const sseClients = new Set(); // { res, names } -- names null means the default set
+
+function startInformer(ns, kind, informer) {
+  const w = watchers[ns];
+  informer.on('change', () => schedulePush(ns));
+  informer.on('error', (err) => {
+    w.synced[kind] = false;
+    console.error(`[watch] ${kind} em ${ns} caiu: ${err?.message || err}. Reiniciando em 5s`);
+    setTimeout(() => {
+      if (watchers[ns] === w) startWatch(ns, kind, informer);
+    }, 5000);
+  });
+  startWatch(ns, kind, informer);
+}
+
+function startWatch(ns, kind, informer) {
+  informer.start()
+    .then(() => {
+      // start() resolves even when the initial list failed; a resourceVersion
+      // is only set once the cache holds a full list
+      if (!informer.latestResourceVersion()) return;
+      watchers[ns].synced[kind] = true;
+      schedulePush(ns);
+    })
+    .catch(() => { /* reported through the 'error' callback */ });
+}
+
+function watchNamespace(ns) {
+  if (watchers[ns] || REPLAY_FILE) return;
+  const pods = k8s.makeInformer(kc, `/api/v1/namespaces/${ns}/pods`,
+    () => coreApi.listNamespacedPod({ namespace: ns }));
+  const hpa = k8s.makeInformer(kc, `/apis/autoscaling/v2/namespaces/${ns}/horizontalpodautoscalers`,
+    () => autoscalingApi.listNamespacedHorizontalPodAutoscaler({ namespace: ns }));
+  const events = k8s.makeInformer(kc, `/api/v1/namespaces/${ns}/events`,
+    () => coreApi.listNamespacedEvent({ namespace: ns }));
+  watchers[ns] = { pods, hpa, events, synced: { pods: false, hpa: false, events: false } };
+  startInformer(ns, 'pods', pods);
+  startInformer(ns, 'hpa', hpa);
+  startInformer(ns, 'events', events);
+}
+
+function unwatchNamespace(ns) {
+  const w = watchers[ns];
+  if (!w) return;
+  delete watchers[ns];
+  delete snapshots[ns];
+  clearTimeout(pushTimers[ns]);
+  delete pushTimers[ns];
+  w.pods.stop();
+  w.hpa.stop();
+  w.events.stop();
+}
+
+// Namespaces shown when the client did not pick any: configured first, then discovered
+function defaultNamespaces() {
+  if (REPLAY_FILE) return replay.frames[replay.index].defaults || Object.keys(snapshots);
+  const extra = [...discovered].filter(ns => !NAMESPACES.includes(ns)).sort();
+  return [...NAMESPACES, ...extra];
+}
+
+function watchedNamespaces() {
+  return Object.keys(watchers);
+}
+
+// Namespaces picked in the UI are watched only while some client shows them
+function retainNamespace(ns) {
+  demand[ns] = (demand[ns] || 0) + 1;
+  watchNamespace(ns);
+}
+
+function releaseNamespace(ns) {
+  if (--demand[ns] > 0) return;
+  delete demand[ns];
+  if (!defaultNamespaces().includes(ns)) unwatchNamespace(ns);
+}
+
+// Parse "a,b,c" from a query string; null when absent, throws on invalid names
+// or on more than MAX_PICKED_NAMESPACES of them
+const MAX_PICKED_NAMESPACES = parseInt(process.env.MAX_PICKED_NAMESPACES) || 20;
+
+function parseNames(param) {
+  if (param === undefined) return null;
+  const names = [...new Set(String(param).split(',').map(n => n.trim()).filter(Boolean))];
+  if (names.length > MAX_PICKED_NAMESPACES) {
+    throw new Error(`No máximo ${MAX_PICKED_NAMESPACES} namespaces por vez (recebidos ${names.length})`);
+  }
+  const invalid = names.find(n => n.length > 63 || !NAMESPACE_NAME_RE.test(n));
+  if (invalid) throw new Error(`Nome de namespace inválido: ${invalid}`);
+  return names;
+}
+
+// Namespaces the dashboard already knows about: configured, discovered by
+// label, listed in the leaderboard or, in replay, present in the recording
+function knownNamespace(ns) {
+  if (REPLAY_FILE) return replay.namespaces.has(ns);
+  return NAMESPACES.includes(ns) || discovered.has(ns) || leaderboardNamespaces.has(ns);
+}
+
+// Picked names a client may open: with auth, the ones the caller can see;
+// without it, only known namespaces, so a URL cannot make the backend watch
+// arbitrary namespaces. Others are dropped, so a stale saved selection still
+// loads; the routes report them (rejectedNames) so the picker can say why
+async function allowedNames(req, names) {
+  return req.user ? visibleNames(req, names) : names.filter(knownNamespace);
+}
+
+function rejectedNames(picked, allowed) {
+  return picked ? picked.filter(n => !allowed.includes(n)) : [];
+}
+
+// --- Namespace discovery and classification ---
+const discovered = new Set();
+const namespaceMeta = {}; // ns -> { labels, annotations, fetchedAt }
+const NAMESPACE_META_TTL_MS = 60000;
+
+function startDiscovery() {
+  const informer = k8s.makeInformer(kc, '/api/v1/namespaces',
+    () => coreApi.listNamespace({ labelSelector: NAMESPACE_SELECTOR }), NAMESPACE_SELECTOR);
+
+  const upsert = (obj) => {
+    const ns = obj.metadata.name;
+    namespaceMeta[ns] = { labels: obj.metadata.labels || {}, annotations: obj.metadata.annotations || {}, fetchedAt: Infinity };
+    if (!discovered.has(ns)) {
+      discovered.add(ns);
+      console.log(`[discovery] Namespace encontrado: ${ns}`);
+      watchNamespace(ns);
+    }
+    schedulePush(ns);
+  };
+
+  informer.on('add', upsert);
+  informer.on('update', upsert);
+  informer.on('delete', (obj) => {
+    const ns = obj.metadata.name;
+    discovered.delete(ns);
+    delete namespaceMeta[ns];
+    console.log(`[discovery] Namespace removido: ${ns}`);
+    if (!NAMESPACES.includes(ns) && !demand[ns]) unwatchNamespace(ns);
+    broadcast('removed', { namespace: ns }, ns, true);
+  });
+  informer.on('error', (err) => {
+    console.error(`[discovery] Watch de namespaces caiu: ${err?.message || err}. Reiniciando em 5s`);
+    setTimeout(() => informer.start().catch(() => {}), 5000);
+  });
+  informer.start().catch(() => {});
+}
+
+async function getNamespaceMeta(ns) {
+  const cached = namespaceMeta[ns];
+  if (cached && Date.now() - cached.fetchedAt < NAMESPACE_META_TTL_MS) return cached;
+  try {
+    const obj = await coreApi.readNamespace({ name: ns });
+    namespaceMeta[ns] = { labels: obj.metadata.labels || {}, annotations: obj.metadata.annotations || {}, fetchedAt: Date.now() };
+  } catch (err) {
+    namespaceMeta[ns] = { labels: {}, annotations: {}, fetchedAt: Date.now() };
+  }
+  return namespaceMeta[ns];
+}
+
+// 'good' | 'bad' | null, from the ROLE_KEY label (or annotation)
+function namespaceRole(meta) {
+  const value = String(meta.labels[ROLE_KEY] || meta.annotations[ROLE_KEY] || '').toLowerCase();
+  return value === 'good' || value === 'bad' ? value : null;
+}
+
+// --- API calls: shared cache, per-source status and backoff (see sources.js) ---
+const { cachedCall, fetchSource } = createSourceFetcher({
+  cacheTtlMs: parseInt(process.env.API_CACHE_TTL_MS) || undefined,
+  backoffMs: parseInt(process.env.SOURCE_BACKOFF_MS) || undefined,
+  backoffMaxMs: parseInt(process.env.SOURCE_BACKOFF_MAX_MS) || undefined
+});
+
+function metricsAvailable(sources) {
+  return (sources?.metrics || 'ok') === 'ok';
+}
+
+async function listPods(ns) {
+  const w = watchers[ns];
+  if (w?.synced.pods) return w.pods.list(ns);
+  const res = await cachedCall(`pods/${ns}`, () => coreApi.listNamespacedPod({ namespace: ns }));
+  return res.items || [];
+}
+
+async function listHPAs(ns, sources) {
+  const w = watchers[ns];
+  if (w?.synced.hpa) {
+    sources.hpa = 'ok';
+    return w.hpa.list(ns);
+  }
+  const res = await fetchSource(sources, 'hpa', ns,
+    () => autoscalingApi.listNamespacedHorizontalPodAutoscaler({ namespace: ns }));
+  return res.items || [];
+}
+
+async function listEvents(ns, sources) {
+  const w = watchers[ns];
+  if (w?.synced.events) {
+    sources.events = 'ok';
+    return w.events.list(ns);
+  }
+  const res = await fetchSource(sources, 'events', ns, () => coreApi.listNamespacedEvent({ namespace: ns }));
+  return res.items || [];
+}
+
+// Coalesce bursts of watch events (a rollout touches many pods) into one push
+function schedulePush(ns) {
+  if (pushTimers[ns]) return;
+  pushTimers[ns] = setTimeout(() => {
+    delete pushTimers[ns];
+    refreshNamespace(ns);
+  }, PUSH_DEBOUNCE_MS);
+}
+
+async function refreshNamespace(ns) {
+  try {
+    const data = await getNamespaceData(ns);
+    if (!watchers[ns]) return; // unwatched while the request was in flight
+    snapshots[ns] = data;
+    broadcast('namespace', data, ns);
+  } catch (err) {
+    console.error(`Erro ao atualizar namespace ${ns}:`, err.message);
+  }
+}
+
+async function getSnapshot(ns) {
+  if (REPLAY_FILE) return snapshots[ns] || null; // namespaces not in the recording are left out
+  if (!watchers[ns]) return getNamespaceData(ns);
+  if (!snapshots[ns]) snapshots[ns] = await getNamespaceData(ns);
+  return snapshots[ns];
+}
+
+// --- Server-Sent Events ---
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function clientWants(client, ns) {
+  return client.names ? client.names.includes(ns) : defaultNamespaces().includes(ns);
+}
+
+// With a namespace, only clients showing it receive the event. Events about a
+// namespace that just left the default set pass `force` to reach default clients.
+function broadcast(event, data, ns, force) {
+  for (const client of sseClients) {
+    if (!ns || clientWants(client, ns) || (force && !client.names)) sendEvent(client.res, event, data);
+  }
+}
+
+app.get('/api/stream', async (req, res) => {
+  let names;
+  try {
+    names = parseNames(req.query.names);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // Authenticated clients get an explicit list: the defaults they may see
+  const picked = names;
+  if (names || req.user) names = await allowedNames(req, names || defaultNamespaces());
+  const rejected = rejectedNames(picked, names);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+  const client = { res, names };
+  sseClients.add(client);
+  if (names) names.forEach(retainNamespace);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    sseClients.delete(client);
+    if (names) names.forEach(releaseNamespace);
+  });
+
+  try {
+    const results = await Promise.all((names || defaultNamespaces()).map(getSnapshot));
+    if (rejected.length) sendEvent(res, 'rejected', { names: rejected });
+    sendEvent(res, 'snapshot', results.filter(Boolean));
+    if (REPLAY_FILE) sendEvent(res, 'replay', replayState());
+  } catch (err) {
+    sendEvent(res, 'failure', { error: err.message });
+  }
+});
+
+// --- History: ring buffer of samples per namespace (see history.js) ---
+// One sample every HISTORY_SAMPLE_MS, kept for HISTORY_RETENTION_MINUTES.
+// Set HISTORY_FILE to persist the buffers across restarts.
+const HISTORY_SAMPLE_MS = parseInt(process.env.HISTORY_SAMPLE_MS) || 15000;
+const HISTORY_RETENTION_MINUTES = parseInt(process.env.HISTORY_RETENTION_MINUTES) || 60;
+const HISTORY_FILE = process.env.HISTORY_FILE || '';
+const HISTORY_RETENTION_MS = HISTORY_RETENTION_MINUTES * 60000;
+const HISTORY_CAPACITY = Math.ceil(HISTORY_RETENTION_MS / HISTORY_SAMPLE_MS);
+
+const history = {}; // ns -> ring buffer
+
+function historyFor(ns) {
+  if (!history[ns]) history[ns] = createRingBuffer(HISTORY_CAPACITY);
+  return history[ns];
+}
+
+function toSample(data) {
+  const pods = {};
+  for (const p of data.pods) {
+    pods[p.name] = { cpu: p.usage.cpu_millicores, mem: p.usage.memory_mib };
+  }
+  const hpa = data.hpa[0];
+  return {
+    ts: Date.now(),
+    usage: { cpu: data.totals.usage.cpu_millicores, mem: data.totals.usage.memory_mib },
+    requests: { cpu: data.totals.requests.cpu_millicores, mem: data.totals.requests.memory_mib },
+    limits: { cpu: data.totals.limits.cpu_millicores, mem: data.totals.limits.memory_mib },
+    replicas: hpa ? hpa.currentReplicas : data.podCount,
+    hpaCPUPercent: hpa ? hpa.currentCPUPercent : null,
+    pods
+  };
+}
+
+function sampleHistory() {
+  for (const ns of watchedNamespaces()) {
+    const data = snapshots[ns];
+    // Samples of 0 usage would skew the rightsizing percentiles
+    if (!data || !metricsAvailable(data.sources)) continue;
+    const sample = toSample(data);
+    historyFor(ns).push(sample);
+    broadcast('sample', { namespace: ns, sample }, ns);
+  }
+  if (HISTORY_FILE) saveHistory();
+}
+
+function loadHistory() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+    for (const [ns, samples] of Object.entries(saved)) {
+      history[ns] = createRingBuffer(HISTORY_CAPACITY, samples);
+    }
+    console.log(`[history] Carregado de ${HISTORY_FILE}`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[history] Falha ao ler ${HISTORY_FILE}:`, err.message);
+  }
+}
+
+function saveHistory() {
+  const out = {};
+  for (const [ns, buf] of Object.entries(history)) out[ns] = buf.toArray();
+  const tmp = HISTORY_FILE + '.tmp';
+  fs.writeFile(tmp, JSON.stringify(out), (err) => {
+    if (!err) fs.rename(tmp, HISTORY_FILE, () => {});
+    else console.error(`[history] Falha ao gravar ${HISTORY_FILE}:`, err.message);
+  });
+}
+
+// --- Recording and replay ---
+// DASHBOARD_RECORD appends one JSON line per RECORD_INTERVAL_MS with every
+// watched namespace: { ts, defaults, namespaces: [<getNamespaceData() result>] }.
+// DASHBOARD_REPLAY serves such a file instead of the cluster, on the original
+// timing; /api/replay pauses, resumes and seeks for every viewer at once.
+const RECORD_FILE = process.env.DASHBOARD_RECORD || '';
+const RECORD_INTERVAL_MS = parseInt(process.env.RECORD_INTERVAL_MS) || METRICS_INTERVAL_MS;
+const REPLAY_FILE = process.env.DASHBOARD_REPLAY || '';
+
+const replay = { frames: [], namespaces: new Set(), index: 0, playing: false, timer: null };
+
+function recordFrame() {
+  const data = watchedNamespaces().map(ns => snapshots[ns]).filter(Boolean);
+  if (data.length === 0) return;
+  const line = JSON.stringify({ ts: Date.now(), defaults: defaultNamespaces(), namespaces: data }) + '\n';
+  fs.appendFile(RECORD_FILE, line, (err) => {
+    if (err) console.error(`[record] Falha ao gravar ${RECORD_FILE}:`, err.message);
+  });
+}
+
+function loadReplay() {
+  const lines = fs.readFileSync(REPLAY_FILE, 'utf8').split('\n');
+  for (const [i, line] of lines.entries()) {
+    if (!line.trim()) continue;
+    try {
+      const frame = JSON.parse(line);
+      if (frame.ts && Array.isArray(frame.namespaces)) replay.frames.push(frame);
+    } catch (err) {
+      console.error(`[replay] Linha ${i + 1} ignorada: ${err.message}`);
+    }
+  }
+  replay.frames.sort((a, b) => a.ts - b.ts);
+  replay.frames.forEach(f => f.namespaces.forEach(data => replay.namespaces.add(data.namespace)));
+  if (replay.frames.length === 0) throw new Error(`Nenhum registro válido em ${REPLAY_FILE}`);
+  console.log(`[replay] ${replay.frames.length} registros de ${REPLAY_FILE}`);
+}
+
+function replayState() {
+  const frames = replay.frames;
+  return {
+    playing: replay.playing,
+    index: replay.index,
+    total: frames.length,
+    ts: frames[replay.index].ts,
+    start: frames[0].ts,
+    end: frames[frames.length - 1].ts
+  };
+}
+
+// Put frame `replay.index` in the snapshot cache and rebuild the history up to
+// it, shifted so the current frame is "now" for the sparklines
+function applyReplayFrame() {
+  const frame = replay.frames[replay.index];
+  for (const ns of Object.keys(snapshots)) delete snapshots[ns];
+  for (const data of frame.namespaces) snapshots[data.namespace] = data;
+
+  for (const ns of Object.keys(history)) delete history[ns];
+  const now = Date.now();
+  for (const f of replay.frames.slice(0, replay.index + 1)) {
+    const ts = now - (frame.ts - f.ts);
+    if (now - ts > HISTORY_RETENTION_MS) continue;
+    for (const data of f.namespaces) historyFor(data.namespace).push({ ...toSample(data), ts });
+  }
+}
+
+// Seeks re-send a full snapshot (the client reloads its history); playback
+// sends the same per-namespace events as the live watch. The 'replay' state
+// event is left to the caller, which sends it once after any state change.
+function showReplayFrame(seek) {
+  applyReplayFrame();
+  if (seek) {
+    for (const client of sseClients) {
+      sendEvent(client.res, 'snapshot', (client.names || defaultNamespaces()).map(ns => snapshots[ns]).filter(Boolean));
+    }
+  } else {
+    for (const [ns, data] of Object.entries(snapshots)) {
+      broadcast('namespace', data, ns);
+      broadcast('sample', { namespace: ns, sample: historyFor(ns).toArray().pop() }, ns);
+    }
+  }
+}
+
+// Arms the timer for the next frame; playback stops at the last one
+function scheduleReplay() {
+  clearTimeout(replay.timer);
+  if (!replay.playing) return;
+  const current = replay.frames[replay.index];
+  const next = replay.frames[replay.index + 1];
+  if (!next) {
+    replay.playing = false;
+    return;
+  }
+  replay.timer = setTimeout(() => {
+    replay.index++;
+    showReplayFrame(false);
+    scheduleReplay();
+    broadcast('replay', replayState());
+  }, next.ts - current.ts);
+}
+
+// Cluster-wide views (leaderboard, nodes) are not in the recording
+const REPLAY_UNAVAILABLE = 'Indisponível no modo replay: a gravação só tem os namespaces';
+
+app.get('/api/replay', (req, res) => {
+  if (!REPLAY_FILE) return res.status(404).json({ error: 'Modo replay desativado' });
+  res.json(replayState());
+});
+
+// POST /api/replay { action: 'play' | 'pause' | 'seek', index | ts }
+app.post('/api/replay', express.json(), (req, res) => {
+  if (!REPLAY_FILE) return res.status(404).json({ error: 'Modo replay desativado' });
+  const { action, index, ts } = req.body || {};
+  if (action === 'play') {
+    if (replay.index === replay.frames.length - 1) {
+      replay.index = 0;
+      showReplayFrame(true);
+    }
+    replay.playing = true;
+  } else if (action === 'pause') {
+    replay.playing = false;
+  } else if (action === 'seek') {
+    let target = Number.isInteger(index) ? index : replay.frames.findIndex(f => f.ts >= ts);
+    if (!(target >= 0)) target = replay.frames.length - 1;
+    replay.index = Math.min(target, replay.frames.length - 1);
+    showReplayFrame(true);
+  } else {
+    return res.status(400).json({ error: `Ação inválida: ${action}` });
+  }
+  scheduleReplay();
+  broadcast('replay', replayState());
+  res.json(replayState());
+});
+
+// --- API: Get data for the default namespaces, or ?names=a,b on demand ---
 app.get('/api/namespaces', async (req, res) => {
+  let names;
+  try {
+    names = parseNames(req.query.names);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   try {
-    const results = await Promise.all(NAMESPACES.map(ns => getNamespaceData(ns)));
-    res.json(results);
+    const visible = await allowedNames(req, names || defaultNamespaces());
+    const results = await Promise.all(visible.map(getSnapshot));
+    const rejected = rejectedNames(names, visible);
+    if (rejected.length) res.set('X-Rejected-Namespaces', rejected.join(','));
+    res.json(results.filter(Boolean));
   } catch (err) {
     console.error('Erro ao buscar dados dos namespaces:', err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
+// --- API: Report export, ?format=csv|json|md|html and optional ?names= ---
+app.get('/api/report', async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!FORMATS[format]) {
+    return res.status(400).json({ error: `Formato inválido: ${format} (use ${Object.keys(FORMATS).join(', ')})` });
+  }
+  let names;
+  try {
+    names = parseNames(req.query.names);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const visible = await allowedNames(req, names || defaultNamespaces());
+    const results = (await Promise.all(visible.map(getSnapshot))).filter(Boolean);
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+    res.set('Content-Type', FORMATS[format].contentType);
+    res.attachment(`resource-report-${stamp}.${FORMATS[format].ext}`);
+    res.send(formatReport(buildReport(results), format));
+  } catch (err) {
+    console.error('Erro ao gerar relatório:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- API: Namespaces offered in the picker ---
+app.get('/api/namespaces/available', async (req, res) => {
+  if (REPLAY_FILE) {
+    return res.json(Object.values(snapshots).map(data => ({
+      name: data.namespace,
+      role: data.role,
+      source: 'replay',
+      default: defaultNamespaces().includes(data.namespace)
+    })));
+  }
+  const names = await visibleNames(req, [...new Set([...defaultNamespaces(), ...watchedNamespaces()])]);
+  const result = await Promise.all(names.map(async (ns) => ({
+    name: ns,
+    role: namespaceRole(await getNamespaceMeta(ns)),
+    source: NAMESPACES.includes(ns) ? 'config' : discovered.has(ns) ? 'selector' : 'on-demand',
+    default: defaultNamespaces().includes(ns)
+  })));
+  res.json(result);
+});
+
+// --- API: History for one namespace ---
+app.get('/api/namespaces/:ns/history', async (req, res) => {
+  const ns = req.params.ns;
+  if (!history[ns] && !watchers[ns]) {
+    return res.status(404).json({ error: `Namespace não monitorado: ${ns}` });
+  }
+  if ((await visibleNames(req, [ns])).length === 0) {
+    return res.status(403).json({ error: `Sem acesso ao namespace ${ns}` });
+  }
+  const windowMs = parseWindow(req.query.window, HISTORY_RETENTION_MS);
+  res.json({
+    namespace: ns,
+    windowMs,
+    sampleIntervalMs: HISTORY_SAMPLE_MS,
+    samples: historyFor(ns).since(Date.now() - windowMs)
+  });
+});
+
+// --- API: HPA what-if simulation (see simulator.js) ---
+// ?cpuRequest=<m per pod>&target=<%>&min=&max=&window=; anything left out comes
+// from the namespace as it is now (its first HPA and the average pod request)
+function simulationDefaults(data) {
+  const h = data.hpa[0];
+  return {
+    cpuRequest: data.podCount > 0 ? Math.max(1, Math.round(data.totals.requests.cpu_millicores / data.podCount)) : 100,
+    targetPercent: h?.targetCPUPercent || 80, // the HPA's own default
+    minReplicas: h?.minReplicas || 1,
+    maxReplicas: h?.maxReplicas || 10
+  };
+}
+
+app.get('/api/namespaces/:ns/simulate', async (req, res) => {
+  const ns = req.params.ns;
+  if (!history[ns] && !watchers[ns] && !snapshots[ns]) {
+    return res.status(404).json({ error: `Namespace não monitorado: ${ns}` });
+  }
+  if ((await visibleNames(req, [ns])).length === 0) {
+    return res.status(403).json({ error: `Sem acesso ao namespace ${ns}` });
+  }
+  try {
+    const data = await getSnapshot(ns);
+    if (!data) return res.status(404).json({ error: `Namespace fora da gravação: ${ns}` });
+    const defaults = simulationDefaults(data);
+    let params;
+    try {
+      params = parseSimulationParams(req.query, defaults);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    // Recorded samples, plus the live values when they are newer than the last sample
+    const windowMs = parseWindow(req.query.window, HISTORY_RETENTION_MS);
+    const samples = historyFor(ns).since(Date.now() - windowMs);
+    if (!REPLAY_FILE && metricsAvailable(data.sources)) samples.push(toSample(data));
+
+    res.json({
+      namespace: ns,
+      windowMs,
+      defaults,
+      hpa: data.hpa[0] ? { name: data.hpa[0].name, scaleTargetRef: data.hpa[0].scaleTargetRef } : null,
+      ...simulateHPA(samples, params)
+    });
+  } catch (err) {
+    console.error(`Erro ao simular HPA em ${ns}:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Anti-pattern rules (see rules.js); RULES_CONFIG points to a JSON/YAML file ---
+const rulesConfig = loadRulesConfig(process.env.RULES_CONFIG);
+
+app.get('/api/rules', (req, res) => {
+  res.json(describeRules(rulesConfig));
+});
+
 // --- API: Get data for a single namespace ---
 async function getNamespaceData(namespace) {
   const ns = namespace.trim();
+  const sources = {};
 
-  // Fetch pods, HPAs, and metrics in parallel
-  const [podsRes, hpaRes, podMetrics] = await Promise.all([
-    coreApi.listNamespacedPod({ namespace: ns }),
-    autoscalingApi.listNamespacedHorizontalPodAutoscaler({ namespace: ns }).catch(() => ({ items: [] })),
-    metricsApi.getPodMetrics(ns).catch(() => ({ items: [] }))
+  // Pods and HPAs come from the watch cache; everything else is fetched live
+  const [meta, pods, hpas, events, podMetrics, vpaRes, quotaRes, limitRangeRes, pdbRes, rsRes, deployRes, stsRes] = await Promise.all([
+    getNamespaceMeta(ns),
+    listPods(ns),
+    listHPAs(ns, sources),
+    listEvents(ns, sources),
+    fetchSource(sources, 'metrics', ns, () => metricsApi.getPodMetrics(ns)),
+    fetchSource(sources, 'vpa', ns, () => customApi.listNamespacedCustomObject({
+      group: 'autoscaling.k8s.io',
+      version: 'v1',
+      namespace: ns,
+      plural: 'verticalpodautoscalers'
+    })),
+    fetchSource(sources, 'quotas', ns, () => coreApi.listNamespacedResourceQuota({ namespace: ns })),
+    fetchSource(sources, 'limitRanges', ns, () => coreApi.listNamespacedLimitRange({ namespace: ns })),
+    fetchSource(sources, 'pdbs', ns, () => policyApi.listNamespacedPodDisruptionBudget({ namespace: ns })),
+    fetchSource(sources, 'replicaSets', ns, () => appsApi.listNamespacedReplicaSet({ namespace: ns })),
+    fetchSource(sources, 'deployments', ns, () => appsApi.listNamespacedDeployment({ namespace: ns })),
+    fetchSource(sources, 'statefulSets', ns, () => appsApi.listNamespacedStatefulSet({ namespace: ns }))
   ]);
 
-  const pods = podsRes.items || [];
-  const hpas = hpaRes.items || [];
-  const metrics = podMetrics.items || [];
+  return buildNamespaceData(ns, {
+    meta,
+    pods,
+    hpas,
+    events,
+    metrics: podMetrics.items || [],
+    vpas: vpaRes.items || [],
+    quotas: quotaRes.items || [],
+    limitRanges: limitRangeRes.items || [],
+    pdbs: pdbRes.items || [],
+    replicaSets: rsRes.items || [],
+    deployments: deployRes.items || [],
+    statefulSets: stsRes.items || [],
+    sources
+  });
+}
+
+// Shape raw API objects of one namespace into the dashboard payload. Kept apart
+// from the fetching so cluster-wide lists (leaderboard) can reuse it.
+function buildNamespaceData(ns, {
+  meta, pods, hpas, metrics, vpas, events = [], quotas = [], limitRanges = [], pdbs = [],
+  replicaSets = [], deployments = [], statefulSets = [], sources = {}
+}) {
+  // Without the Metrics API every usage reads 0; waste is reported as null
+  // rather than computed from those zeros
+  const hasMetrics = metricsAvailable(sources);
 
-  // Build metrics lookup by pod name
+  // Build metrics lookup by pod name (totals) and by pod/container
   const metricsMap = {};
+  const containerMetrics = {};
   for (const m of metrics) {
     const podName = m.metadata.name;
     let cpuTotal = 0;
     let memTotal = 0;
     for (const c of (m.containers || [])) {
-      cpuTotal += parseCPU(c.usage?.cpu);
-      memTotal += parseMemory(c.usage?.memory);
+      const cpu = parseCPU(c.usage?.cpu);
+      const mem = parseMemory(c.usage?.memory);
+      cpuTotal += cpu;
+      memTotal += mem;
+      containerMetrics[`${podName}/${c.name}`] = { cpu_millicores: Math.round(cpu), memory_mib: Math.round(mem) };
     }
     metricsMap[podName] = { cpu_millicores: Math.round(cpuTotal), memory_mib: Math.round(memTotal) };
   }
@@ -116,13 +824,22 @@ async function getNamespaceData(namespace) {
 
     return {
       name: pod.metadata.name,
+      workload: workloadOf(pod, replicaSets),
       status: pod.status?.phase,
       ready: ready?.status === 'True',
       restartCount,
       lastTerminationReason,
+      limitRangeDefaults: parseLimitRangerAnnotation(pod.metadata.annotations?.['kubernetes.io/limit-ranger']),
+      qosClass: pod.status?.qosClass || null,
       requests: { cpu_millicores: Math.round(reqCPU), memory_mib: Math.round(reqMem) },
       limits: { cpu_millicores: Math.round(limCPU), memory_mib: Math.round(limMem) },
-      usage: usage
+      usage: usage,
+      containers: containers.map(c => containerData(c,
+        containerStatuses.find(cs => cs.name === c.name),
+        containerMetrics[`${pod.metadata.name}/${c.name}`])),
+      initContainers: (pod.spec.initContainers || []).map(c => containerData(c,
+        (pod.status?.initContainerStatuses || []).find(cs => cs.name === c.name),
+        null))
     };
   });
 
@@ -143,6 +860,7 @@ async function getNamespaceData(namespace) {
       desiredReplicas: h.status?.desiredReplicas || 0,
       currentCPUPercent: cpuMetric?.resource?.current?.averageUtilization ?? null,
       targetCPUPercent: cpuTarget?.resource?.target?.averageUtilization ?? null,
+      scaleTargetRef: { kind: h.spec.scaleTargetRef?.kind, name: h.spec.scaleTargetRef?.name },
       conditions: (h.status?.conditions || []).map(c => ({
         type: c.type,
         status: c.status,
@@ -152,6 +870,67 @@ async function getNamespaceData(namespace) {
     };
   });
 
+  // Workloads: pods grouped by owner, with each HPA linked to the workload it scales
+  const workloads = buildWorkloads(podData, deployments, statefulSets, hpaData);
+
+  // VPA data: recommendations per container, next to the requests currently set
+  const vpaData = vpas.map(v => {
+    const target = v.spec?.targetRef || {};
+    const podIdx = podData.findIndex(p => p.workload.kind === target.kind && p.workload.name === target.name);
+    const specContainers = podIdx >= 0 ? pods[podIdx].spec.containers || [] : [];
+    const toResources = (r) => r
+      ? { cpu_millicores: Math.round(parseCPU(r.cpu)), memory_mib: Math.round(parseMemory(r.memory)) }
+      : null;
+
+    return {
+      name: v.metadata.name,
+      targetRef: { kind: target.kind, name: target.name },
+      updateMode: v.spec?.updatePolicy?.updateMode || 'Auto',
+      containers: (v.status?.recommendation?.containerRecommendations || []).map(cr => {
+        const spec = specContainers.find(c => c.name === cr.containerName);
+        return {
+          name: cr.containerName,
+          current: spec ? toResources(spec.resources?.requests || {}) : null,
+          target: toResources(cr.target),
+          lowerBound: toResources(cr.lowerBound),
+          upperBound: toResources(cr.upperBound),
+          uncappedTarget: toResources(cr.uncappedTarget)
+        };
+      })
+    };
+  });
+
+  // ResourceQuota: hard vs used per resource
+  const quotaData = quotas.map(q => ({
+    name: q.metadata.name,
+    resources: Object.keys(q.status?.hard || q.spec?.hard || {}).sort().map(resource => {
+      const hard = parseQuantity(resource, (q.status?.hard || q.spec.hard)[resource]);
+      const used = parseQuantity(resource, q.status?.used?.[resource]);
+      return {
+        resource,
+        unit: quantityUnit(resource),
+        hard,
+        used,
+        percent: hard > 0 ? Math.round(used / hard * 100) : null
+      };
+    })
+  }));
+
+  // LimitRange: defaults and bounds per type (Container, Pod, ...)
+  const toResources = (r) => r
+    ? { cpu_millicores: r.cpu ? Math.round(parseCPU(r.cpu)) : null, memory_mib: r.memory ? Math.round(parseMemory(r.memory)) : null }
+    : null;
+  const limitRangeData = limitRanges.map(lr => ({
+    name: lr.metadata.name,
+    limits: (lr.spec?.limits || []).map(l => ({
+      type: l.type,
+      default: toResources(l._default || l.default), // the generated client renames 'default'
+      defaultRequest: toResources(l.defaultRequest),
+      max: toResources(l.max),
+      min: toResources(l.min)
+    }))
+  }));
+
   // Totals
   const totals = podData.reduce((acc, p) => ({
     reqCPU: acc.reqCPU + p.requests.cpu_millicores,
@@ -167,36 +946,531 @@ async function getNamespaceData(namespace) {
          p.requests.memory_mib === p.limits.memory_mib
   );
 
+  const role = namespaceRole(meta);
+
+  const totalsData = {
+    requests: { cpu_millicores: totals.reqCPU, memory_mib: totals.reqMem },
+    limits: { cpu_millicores: totals.limCPU, memory_mib: totals.limMem },
+    usage: { cpu_millicores: totals.usageCPU, memory_mib: totals.usageMem }
+  };
+
+  const antiPatterns = {
+    requestsEqualsLimits,
+    cpuWastePercent: !hasMetrics ? null : totals.reqCPU > 0
+      ? Math.round((1 - totals.usageCPU / totals.reqCPU) * 100)
+      : 0,
+    memWastePercent: !hasMetrics ? null : totals.reqMem > 0
+      ? Math.round((1 - totals.usageMem / totals.reqMem) * 100)
+      : 0
+  };
+
+  // Configurable rules; waste-based ones are skipped while the app is idle
+  // (or while there is no usage to compare against)
+  const findings = evaluateRules({
+    rawPods: pods,
+    pods: podData,
+    hpas: hpaData,
+    pdbs,
+    antiPatterns,
+    idle: !hasMetrics || totals.usageCPU <= 1
+  }, rulesConfig);
+
   return {
     namespace: ns,
-    label: ns === 'app-ruim' ? 'Práticas Ruins' : ns === 'app-bom' ? 'Boas Práticas' : ns,
+    role,
+    label: role === 'bad' ? 'Práticas Ruins' : role === 'good' ? 'Boas Práticas' : ns,
     podCount: podData.length,
     pods: podData,
+    workloads,
     hpa: hpaData,
-    totals: {
-      requests: { cpu_millicores: totals.reqCPU, memory_mib: totals.reqMem },
-      limits: { cpu_millicores: totals.limCPU, memory_mib: totals.limMem },
-      usage: { cpu_millicores: totals.usageCPU, memory_mib: totals.usageMem }
+    vpa: vpaData,
+    quotas: quotaData,
+    limitRanges: limitRangeData,
+    events: summarizeEvents(events, EVENTS),
+    totals: totalsData,
+    cost: costSummary(podData, totalsData, hasMetrics),
+    antiPatterns,
+    findings,
+    recommendations: computeRecommendations(ns, pods, podData, {
+      ...RIGHTSIZING,
+      samples: history[ns] ? history[ns].toArray() : [],
+      hasMetrics
+    }),
+    sources
+  };
+}
+
+// --- Helper: one container's resources and state ---
+// Unlike the pod totals, a resource that is not set stays null here, so a
+// container without limits does not look like one with a 0 limit.
+function containerData(c, status, usage) {
+  const req = c.resources?.requests || {};
+  const lim = c.resources?.limits || {};
+  const value = (v, parse) => v ? Math.round(parse(v)) : null;
+  const requests = { cpu_millicores: value(req.cpu, parseCPU), memory_mib: value(req.memory, parseMemory) };
+  const limits = { cpu_millicores: value(lim.cpu, parseCPU), memory_mib: value(lim.memory, parseMemory) };
+  const state = status?.state ? Object.keys(status.state)[0] : null;
+
+  return {
+    name: c.name,
+    image: c.image,
+    requests,
+    limits,
+    usage: usage || null,
+    qos: containerQoS(requests, limits),
+    restartCount: status?.restartCount || 0,
+    ready: status?.ready ?? null,
+    state,
+    stateReason: status?.state?.[state]?.reason || null,
+    lastTerminationReason: status?.lastState?.terminated?.reason || null,
+    lastTerminatedAt: status?.lastState?.terminated?.finishedAt || null
+  };
+}
+
+// QoS the container alone would get (the pod's class is the weakest of its containers)
+function containerQoS(requests, limits) {
+  const values = [...Object.values(requests), ...Object.values(limits)];
+  if (values.every(v => v === null)) return 'BestEffort';
+  const guaranteed = ['cpu_millicores', 'memory_mib'].every(r =>
+    limits[r] !== null && (requests[r] === null || requests[r] === limits[r]));
+  return guaranteed ? 'Guaranteed' : 'Burstable';
+}
+
+// --- Recent events (see events.js) ---
+const EVENTS = {
+  windowMinutes: parseInt(process.env.EVENTS_WINDOW_MINUTES) || undefined,
+  limit: parseInt(process.env.EVENTS_LIMIT) || undefined
+};
+
+// --- Helper: quota quantities ---
+// CPU-like resources in millicores, memory-like in MiB, everything else a count
+function quantityUnit(resource) {
+  if (/(^|\.)cpu$/.test(resource)) return 'millicores';
+  if (/(^|\.)(memory|ephemeral-storage|storage)$/.test(resource)) return 'mib';
+  return 'count';
+}
+
+function parseQuantity(resource, value) {
+  if (value === undefined || value === null) return 0;
+  const unit = quantityUnit(resource);
+  if (unit === 'millicores') return Math.round(parseCPU(value));
+  if (unit === 'mib') return Math.round(parseMemory(value));
+  return parseFloat(value) || 0;
+}
+
+// --- Rightsizing recommendations (see recommendations.js) ---
+const RIGHTSIZING = {
+  cpuPercentile: parseInt(process.env.RIGHTSIZING_CPU_PERCENTILE) || undefined,
+  headroom: parseFloat(process.env.RIGHTSIZING_HEADROOM) || undefined,
+  minSamples: parseInt(process.env.RIGHTSIZING_MIN_SAMPLES) || undefined
+};
+
+// --- Cost model ---
+// Prices per vCPU-hour and GiB-hour, either set directly or derived from one
+// node type (hourly price + capacity). A node price is split between CPU and
+// memory in the same proportion as the per-unit prices.
+const HOURS_PER_MONTH = 730;
+const COST_CURRENCY = process.env.COST_CURRENCY || 'USD';
+
+function costPrices() {
+  const cpuHour = parseFloat(process.env.COST_CPU_HOUR) || 0.04;
+  const gibHour = parseFloat(process.env.COST_GIB_HOUR) || 0.005;
+  const nodePrice = parseFloat(process.env.COST_NODE_HOURLY_PRICE);
+  const nodeCPU = parseFloat(process.env.COST_NODE_CPU);
+  const nodeGiB = parseFloat(process.env.COST_NODE_MEMORY_GIB);
+  if (!(nodePrice > 0 && nodeCPU > 0 && nodeGiB > 0)) {
+    return { source: 'unit', cpuHour, gibHour };
+  }
+  const cpuShare = nodeCPU * cpuHour / (nodeCPU * cpuHour + nodeGiB * gibHour);
+  return {
+    source: 'node',
+    nodeType: process.env.COST_NODE_TYPE || null,
+    cpuHour: Math.round(nodePrice * cpuShare / nodeCPU * 1e6) / 1e6,
+    gibHour: Math.round(nodePrice * (1 - cpuShare) / nodeGiB * 1e6) / 1e6
+  };
+}
+
+const COST_PRICES = costPrices();
+
+// Monthly cost of { cpu_millicores, memory_mib }, rounded to cents
+function monthlyCost(r) {
+  const hourly = r.cpu_millicores / 1000 * COST_PRICES.cpuHour + r.memory_mib / 1024 * COST_PRICES.gibHour;
+  return Math.round(hourly * HOURS_PER_MONTH * 100) / 100;
+}
+
+// `used` and `idle` are null when the Metrics API is unavailable
+function costSummary(podData, totals, hasMetrics = true) {
+  const requested = monthlyCost(totals.requests);
+  const used = hasMetrics ? monthlyCost(totals.usage) : null;
+  return {
+    currency: COST_CURRENCY,
+    prices: COST_PRICES,
+    hoursPerMonth: HOURS_PER_MONTH,
+    monthly: {
+      requested,
+      used,
+      idle: hasMetrics ? Math.max(0, Math.round((requested - used) * 100) / 100) : null
     },
-    antiPatterns: {
-      requestsEqualsLimits,
-      cpuWastePercent: totals.reqCPU > 0
-        ? Math.round((1 - totals.usageCPU / totals.reqCPU) * 100)
-        : 0,
-      memWastePercent: totals.reqMem > 0
-        ? Math.round((1 - totals.usageMem / totals.reqMem) * 100)
-        : 0
-    }
+    perPodRequested: podData.length ? Math.round(requested / podData.length * 100) / 100 : 0,
+    pods: podData.map(p => ({
+      name: p.name,
+      requested: monthlyCost(p.requests),
+      used: hasMetrics ? monthlyCost(p.usage) : null
+    }))
+  };
+}
+
+// --- Per-user leaderboard ---
+// Attendee namespaces (user01-app-bom, user01-app-ruim, ...) are grouped by the
+// first capture group of USER_NAMESPACE_PATTERN. Pods, HPAs and metrics are
+// listed cluster-wide in three calls and cached for LEADERBOARD_TTL_MS, so a
+// room full of browsers costs the API server the same as one.
+const USER_NAMESPACE_PATTERN = new RegExp(process.env.USER_NAMESPACE_PATTERN || '^(user\\d+)-');
+const LEADERBOARD_TTL_MS = parseInt(process.env.LEADERBOARD_TTL_MS) || 30000;
+
+// Score weights (sum to 100): low waste matters most, then working HPAs, then no OOMKills
+const SCORE_WEIGHTS = { waste: 50, hpa: 30, oom: 20 };
+
+let leaderboardCache = null; // { at, promise }
+const leaderboardNamespaces = new Set(); // attendee namespaces seen by the last ranking
+
+function groupByNamespace(items) {
+  const out = {};
+  for (const item of items) {
+    const ns = item.metadata.namespace;
+    (out[ns] = out[ns] || []).push(item);
+  }
+  return out;
+}
+
+// An HPA is healthy when it reads metrics and is not pinned at maxReplicas
+function hpaHealthy(h) {
+  const active = h.conditions.find(c => c.type === 'ScalingActive');
+  return h.currentCPUPercent !== null &&
+    (!active || active.status === 'True') &&
+    h.currentReplicas < h.maxReplicas;
+}
+
+function scoreUser(user, namespaces) {
+  const sum = (fn) => namespaces.reduce((acc, ns) => acc + fn(ns), 0);
+  const reqCPU = sum(ns => ns.totals.requests.cpu_millicores);
+  const reqMem = sum(ns => ns.totals.requests.memory_mib);
+  const usageCPU = sum(ns => ns.totals.usage.cpu_millicores);
+  const usageMem = sum(ns => ns.totals.usage.memory_mib);
+  // Without metrics waste is unknown and the score only weighs HPAs and OOMKills
+  const hasMetrics = namespaces.every(ns => metricsAvailable(ns.sources));
+  const cpuWastePercent = !hasMetrics ? null : reqCPU > 0 ? Math.max(0, Math.round((1 - usageCPU / reqCPU) * 100)) : 0;
+  const memWastePercent = !hasMetrics ? null : reqMem > 0 ? Math.max(0, Math.round((1 - usageMem / reqMem) * 100)) : 0;
+  const wastePercent = hasMetrics ? Math.round((cpuWastePercent + memWastePercent) / 2) : null;
+
+  const hpas = namespaces.flatMap(ns => ns.hpa);
+  const hpaHealthyCount = hpas.filter(hpaHealthy).length;
+  const hpaHealthPercent = hpas.length ? Math.round(hpaHealthyCount / hpas.length * 100) : 0;
+
+  const pods = namespaces.flatMap(ns => ns.pods);
+  const oomKills = pods.filter(p => p.lastTerminationReason === 'OOMKilled').length;
+  const restarts = pods.reduce((acc, p) => acc + p.restartCount, 0);
+
+  const points = hpaHealthPercent * SCORE_WEIGHTS.hpa / 100 +
+    Math.max(0, 100 - oomKills * 25) * SCORE_WEIGHTS.oom / 100;
+  const score = hasMetrics
+    ? Math.round(points + (100 - wastePercent) * SCORE_WEIGHTS.waste / 100)
+    : Math.round(points * 100 / (SCORE_WEIGHTS.hpa + SCORE_WEIGHTS.oom));
+
+  return {
+    user,
+    namespaces: namespaces.map(ns => ns.namespace),
+    score,
+    cpuWastePercent,
+    memWastePercent,
+    wastePercent,
+    hpa: { total: hpas.length, healthy: hpaHealthyCount, healthPercent: hpaHealthPercent },
+    oomKills,
+    restarts,
+    podCount: pods.length,
+    antiPatterns: namespaces.map(ns => ({ namespace: ns.namespace, ...ns.antiPatterns }))
+  };
+}
+
+async function computeLeaderboard() {
+  const sources = {};
+  const [nsRes, podsRes, hpaRes, metricsRes] = await Promise.all([
+    coreApi.listNamespace(),
+    coreApi.listPodForAllNamespaces(),
+    fetchSource(sources, 'hpa', '*', () => autoscalingApi.listHorizontalPodAutoscalerForAllNamespaces()),
+    fetchSource(sources, 'metrics', '*', () => metricsApi.getPodMetrics())
+  ]);
+
+  const pods = groupByNamespace(podsRes.items || []);
+  const hpas = groupByNamespace(hpaRes.items || []);
+  const metrics = groupByNamespace(metricsRes.items || []);
+
+  const users = {};
+  for (const nsObj of nsRes.items || []) {
+    const ns = nsObj.metadata.name;
+    const match = ns.match(USER_NAMESPACE_PATTERN);
+    if (!match) continue;
+    const user = match[1] || match[0];
+    const meta = { labels: nsObj.metadata.labels || {}, annotations: nsObj.metadata.annotations || {} };
+    const data = buildNamespaceData(ns, {
+      meta,
+      pods: pods[ns] || [],
+      hpas: hpas[ns] || [],
+      metrics: metrics[ns] || [],
+      vpas: [],
+      sources
+    });
+    (users[user] = users[user] || []).push(data);
+  }
+
+  leaderboardNamespaces.clear();
+  Object.values(users).flat().forEach(data => leaderboardNamespaces.add(data.namespace));
+
+  const ranking = Object.entries(users)
+    .map(([user, namespaces]) => scoreUser(user, namespaces))
+    .sort((a, b) => b.score - a.score || (a.wastePercent ?? 0) - (b.wastePercent ?? 0) || a.user.localeCompare(b.user));
+  ranking.forEach((entry, i) => { entry.rank = i + 1; });
+
+  return { generatedAt: new Date().toISOString(), weights: SCORE_WEIGHTS, sources, users: ranking };
+}
+
+function getLeaderboard() {
+  if (!leaderboardCache || Date.now() - leaderboardCache.at > LEADERBOARD_TTL_MS) {
+    const promise = computeLeaderboard();
+    leaderboardCache = { at: Date.now(), promise };
+    promise.catch(() => { if (leaderboardCache?.promise === promise) leaderboardCache = null; });
+  }
+  return leaderboardCache.promise;
+}
+
+app.get('/api/leaderboard', async (req, res) => {
+  if (REPLAY_FILE) return res.status(404).json({ error: REPLAY_UNAVAILABLE });
+  try {
+    const leaderboard = await getLeaderboard();
+    if (!req.user) return res.json(leaderboard);
+    // Only users with at least one namespace the caller can see
+    const names = leaderboard.users.flatMap(u => u.namespaces);
+    const visible = new Set(await visibleNames(req, names));
+    res.json({ ...leaderboard, users: leaderboard.users.filter(u => u.namespaces.some(ns => visible.has(ns))) });
+  } catch (err) {
+    console.error('Erro ao montar o ranking:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Node capacity (bin-packing view) ---
+// Nodes, pods and node/pod metrics are listed cluster-wide and cached for
+// NODES_TTL_MS; the per-request part only splits each node by namespace.
+// Namespaces outside the requested set are folded into one "outros" slice.
+const NODES_TTL_MS = parseInt(process.env.NODES_TTL_MS) || 15000;
+let nodesCache = null; // { at, promise }
+
+async function listClusterCapacity() {
+  const sources = {};
+  const [nodeRes, podRes, nodeMetricsRes, podMetricsRes] = await Promise.all([
+    coreApi.listNode(),
+    coreApi.listPodForAllNamespaces({ fieldSelector: 'status.phase!=Succeeded,status.phase!=Failed' }),
+    fetchSource(sources, 'nodeMetrics', '*', () => metricsApi.getNodeMetrics()),
+    fetchSource(sources, 'metrics', '*', () => metricsApi.getPodMetrics())
+  ]);
+  return {
+    sources,
+    nodes: nodeRes.items || [],
+    pods: podRes.items || [],
+    nodeMetrics: nodeMetricsRes.items || [],
+    podMetrics: podMetricsRes.items || []
   };
 }
 
+function getClusterCapacity() {
+  if (!nodesCache || Date.now() - nodesCache.at > NODES_TTL_MS) {
+    const promise = listClusterCapacity();
+    nodesCache = { at: Date.now(), promise };
+    promise.catch(() => { if (nodesCache?.promise === promise) nodesCache = null; });
+  }
+  return nodesCache.promise;
+}
+
+function nodeRoles(node) {
+  const roles = Object.keys(node.metadata.labels || {})
+    .filter(l => l.startsWith('node-role.kubernetes.io/'))
+    .map(l => l.slice('node-role.kubernetes.io/'.length));
+  return roles.length ? roles : ['worker'];
+}
+
+function buildNodesData({ nodes, pods, nodeMetrics, podMetrics }, names) {
+  const OTHER = 'outros';
+  const podUsage = {};
+  for (const m of podMetrics) {
+    const usage = { cpu_millicores: 0, memory_mib: 0 };
+    for (const c of m.containers || []) {
+      usage.cpu_millicores += parseCPU(c.usage?.cpu);
+      usage.memory_mib += parseMemory(c.usage?.memory);
+    }
+    podUsage[`${m.metadata.namespace}/${m.metadata.name}`] = usage;
+  }
+
+  const slices = {}; // node -> ns -> { requests, usage, pods }
+  for (const pod of pods) {
+    const node = pod.spec?.nodeName;
+    if (!node) continue;
+    const ns = names.includes(pod.metadata.namespace) ? pod.metadata.namespace : OTHER;
+    const bucket = ((slices[node] = slices[node] || {})[ns] = slices[node][ns] ||
+      { requests: { cpu_millicores: 0, memory_mib: 0 }, usage: { cpu_millicores: 0, memory_mib: 0 }, pods: 0 });
+    for (const c of pod.spec.containers || []) {
+      bucket.requests.cpu_millicores += parseCPU(c.resources?.requests?.cpu);
+      bucket.requests.memory_mib += parseMemory(c.resources?.requests?.memory);
+    }
+    const usage = podUsage[`${pod.metadata.namespace}/${pod.metadata.name}`];
+    if (usage) {
+      bucket.usage.cpu_millicores += usage.cpu_millicores;
+      bucket.usage.memory_mib += usage.memory_mib;
+    }
+    bucket.pods++;
+  }
+
+  const round = (r) => ({ cpu_millicores: Math.round(r.cpu_millicores), memory_mib: Math.round(r.memory_mib) });
+  const sum = (list, key) => list.reduce((acc, s) => ({
+    cpu_millicores: acc.cpu_millicores + s[key].cpu_millicores,
+    memory_mib: acc.memory_mib + s[key].memory_mib
+  }), { cpu_millicores: 0, memory_mib: 0 });
+
+  return nodes.map(node => {
+    const name = node.metadata.name;
+    const metrics = nodeMetrics.find(m => m.metadata.name === name);
+    const byNs = slices[name] || {};
+    const namespaces = Object.entries(byNs)
+      .sort(([a], [b]) => (a === OTHER) - (b === OTHER) || names.indexOf(a) - names.indexOf(b))
+      .map(([ns, s]) => ({
+        namespace: ns,
+        other: ns === OTHER,
+        role: ns === OTHER ? null : namespaceRole(namespaceMeta[ns]),
+        pods: s.pods,
+        requests: round(s.requests),
+        usage: round(s.usage)
+      }));
+    const ready = node.status?.conditions?.find(c => c.type === 'Ready');
+
+    return {
+      name,
+      roles: nodeRoles(node),
+      instanceType: node.metadata.labels?.['node.kubernetes.io/instance-type'] || null,
+      ready: ready?.status === 'True',
+      unschedulable: !!node.spec?.unschedulable,
+      allocatable: round({
+        cpu_millicores: parseCPU(node.status?.allocatable?.cpu),
+        memory_mib: parseMemory(node.status?.allocatable?.memory)
+      }),
+      requests: round(sum(Object.values(byNs), 'requests')),
+      usage: metrics
+        ? round({ cpu_millicores: parseCPU(metrics.usage?.cpu), memory_mib: parseMemory(metrics.usage?.memory) })
+        : null,
+      namespaces
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+app.get('/api/nodes', async (req, res) => {
+  if (REPLAY_FILE) return res.status(404).json({ error: REPLAY_UNAVAILABLE });
+  let names;
+  try {
+    names = parseNames(req.query.names) || defaultNamespaces();
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (req.user && !(await auth.can(req.user, 'list', 'nodes'))) {
+    return res.status(403).json({ error: 'Sem permissão para listar nodes' });
+  }
+  try {
+    names = await allowedNames(req, names); // the rest is folded into "outros"
+    const [capacity] = await Promise.all([getClusterCapacity(), ...names.map(getNamespaceMeta)]);
+    res.json({
+      generatedAt: new Date().toISOString(),
+      namespaces: names,
+      sources: capacity.sources,
+      nodes: buildNodesData(capacity, names)
+    });
+  } catch (err) {
+    console.error('Erro ao listar nodes:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Prometheus exposition (see metrics.js) ---
+// Read from the snapshot cache so scrapes never hit the API server.
+app.get('/metrics', async (req, res) => {
+  try {
+    const body = await collectMetrics(defaultNamespaces(), getSnapshot);
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(body);
+  } catch (err) {
+    console.error('Erro ao gerar métricas:', err.message);
+    res.status(500).send(`# erro: ${err.message}\n`);
+  }
+});
+
+// --- Alerting (see alerts.js) ---
+// Evaluated on the snapshot cache of the default namespaces every
+// ALERT_INTERVAL_MS, whether or not anyone has the dashboard open.
+const ALERT_INTERVAL_MS = parseInt(process.env.ALERT_INTERVAL_MS) || METRICS_INTERVAL_MS;
+
+const alertManager = createAlertManager({
+  webhooks: parseWebhooks(process.env.ALERT_WEBHOOKS),
+  thresholds: {
+    oomWindowMinutes: parseInt(process.env.ALERT_OOM_WINDOW_MINUTES) || undefined,
+    wastePercent: parseInt(process.env.ALERT_WASTE_PERCENT) || undefined,
+    wasteMinutes: parseInt(process.env.ALERT_WASTE_MINUTES) || undefined,
+    restartCount: parseInt(process.env.ALERT_RESTART_COUNT) || undefined,
+    restartWindowMinutes: parseInt(process.env.ALERT_RESTART_WINDOW_MINUTES) || undefined
+  }
+});
+
+function evaluateAlerts() {
+  const data = defaultNamespaces().map(ns => snapshots[ns]).filter(Boolean);
+  alertManager.evaluate(data);
+}
+
+app.get('/api/alerts', async (req, res) => {
+  const active = alertManager.active();
+  const visible = new Set(await visibleNames(req, [...new Set(active.map(a => a.namespace))]));
+  res.json({
+    thresholds: alertManager.thresholds,
+    webhooks: alertManager.webhooks,
+    active: active.filter(a => visible.has(a.namespace))
+  });
+});
+
 // --- Health ---
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
 // --- Start ---
+if (REPLAY_FILE) {
+  // No cluster access at all: everything comes from the recording
+  try {
+    loadReplay();
+  } catch (err) {
+    console.error(`[replay] ${err.message}`);
+    process.exit(1);
+  }
+  applyReplayFrame();
+  replay.playing = true;
+  scheduleReplay();
+} else {
+  if (HISTORY_FILE) loadHistory();
+  NAMESPACES.forEach(watchNamespace);
+  if (NAMESPACE_SELECTOR) startDiscovery();
+  setInterval(() => watchedNamespaces().forEach(refreshNamespace), METRICS_INTERVAL_MS);
+  setInterval(sampleHistory, HISTORY_SAMPLE_MS);
+  if (RECORD_FILE) setInterval(recordFrame, RECORD_INTERVAL_MS);
+  setInterval(evaluateAlerts, ALERT_INTERVAL_MS);
+}
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Resource Dashboard rodando na porta ${PORT}`);
-  console.log(`Monitorando namespaces: ${NAMESPACES.join(', ')}`);
+  if (REPLAY_FILE) console.log(`Reproduzindo ${REPLAY_FILE} (sem acesso ao cluster)`);
+  else console.log(`Monitorando namespaces: ${NAMESPACES.join(', ')}`);
+  if (RECORD_FILE && !REPLAY_FILE) console.log(`Gravando snapshots em ${RECORD_FILE}`);
+  if (NAMESPACE_SELECTOR) console.log(`Descobrindo namespaces com o seletor: ${NAMESPACE_SELECTOR}`);
 });
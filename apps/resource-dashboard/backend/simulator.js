@@ -0,0 +1,100 @@
+// --- HPA what-if simulator ---
+// Replays recorded usage through the HPA controller's replica calculation,
+// with a hypothetical CPU request per pod and target utilization:
+//
+//   utilization = usage / (replicas x cpuRequest)
+//   ratio       = utilization / targetPercent
+//   desired     = replicas when |ratio - 1| <= tolerance, else ceil(replicas x ratio)
+//
+// clamped to [minReplicas, maxReplicas]. Like the controller, scale-down uses the
+// highest recommendation of the last `downscaleStabilizationSeconds`; scale-up
+// is applied at once (the default scale-up rate limits are not modelled).
+// Replicas feed back: each step starts from the previous simulated count, and
+// the namespace's total CPU usage is taken as the demand spread over the pods.
+
+const DEFAULTS = {
+  tolerance: 0.1,
+  downscaleStabilizationSeconds: 300
+};
+
+const MAX_REPLICAS = 100;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// One HPA evaluation: { utilization, desired } before clamping
+function evaluateStep(replicas, usage, { cpuRequest, targetPercent, tolerance }) {
+  const utilization = usage / (replicas * cpuRequest) * 100;
+  const ratio = utilization / targetPercent;
+  const desired = Math.abs(ratio - 1) <= tolerance ? replicas : Math.ceil(ratio * replicas);
+  return { utilization, desired };
+}
+
+// samples: history samples ({ ts, usage: { cpu }, requests: { cpu }, replicas }), oldest first
+function simulateHPA(samples, params) {
+  const p = { ...DEFAULTS, ...params };
+  const windowMs = p.downscaleStabilizationSeconds * 1000;
+  const recommendations = []; // { ts, desired } inside the stabilization window
+  const start = clamp(samples[0]?.replicas || p.minReplicas, p.minReplicas, p.maxReplicas);
+  let replicas = start;
+
+  const series = samples.map(s => {
+    const { utilization, desired } = evaluateStep(replicas, s.usage.cpu, p);
+    const recommended = clamp(desired, p.minReplicas, p.maxReplicas);
+    recommendations.push({ ts: s.ts, desired: recommended });
+    while (recommendations.length && recommendations[0].ts < s.ts - windowMs) recommendations.shift();
+
+    const stabilized = Math.max(...recommendations.map(r => r.desired));
+    const next = recommended > replicas ? recommended : Math.min(replicas, stabilized);
+    const point = {
+      ts: s.ts,
+      usage: s.usage.cpu,
+      actualReplicas: s.replicas,
+      actualUtilization: s.requests.cpu > 0 ? Math.round(s.usage.cpu / s.requests.cpu * 100) : null,
+      utilization: Math.round(utilization),
+      desired,
+      replicas: next
+    };
+    replicas = next;
+    return point;
+  });
+
+  const peak = (key) => series.reduce((max, pt) => Math.max(max, pt[key] ?? 0), 0);
+  return {
+    params: p,
+    series,
+    summary: {
+      samples: series.length,
+      // Would the HPA ever have moved away from the starting replica count?
+      scaled: series.some(pt => pt.replicas !== start),
+      peakReplicas: peak('replicas'),
+      peakActualReplicas: peak('actualReplicas'),
+      peakUtilization: peak('utilization'),
+      peakActualUtilization: peak('actualUtilization'),
+      atMaxSamples: series.filter(pt => pt.replicas >= p.maxReplicas).length,
+      finalReplicas: series.length ? series[series.length - 1].replicas : null
+    }
+  };
+}
+
+// Query string (?cpuRequest=&target=&min=&max=) over `defaults`; throws on
+// values out of range
+function parseSimulationParams(query, defaults) {
+  const int = (value, fallback, min, max, label) => {
+    if (value === undefined || value === '') return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${label} inválido: ${value} (use ${min}-${max})`);
+    return n;
+  };
+  const params = {
+    cpuRequest: int(query.cpuRequest, defaults.cpuRequest, 1, 64000, 'cpuRequest'),
+    targetPercent: int(query.target, defaults.targetPercent, 1, 1000, 'target'),
+    minReplicas: int(query.min, defaults.minReplicas, 1, MAX_REPLICAS, 'min'),
+    maxReplicas: int(query.max, defaults.maxReplicas, 1, MAX_REPLICAS, 'max')
+  };
+  if (params.minReplicas > params.maxReplicas) throw new Error('min não pode ser maior que max');
+  return params;
+}
+
+module.exports = { simulateHPA, evaluateStep, parseSimulationParams };
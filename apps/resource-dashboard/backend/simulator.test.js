@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulateHPA, evaluateStep, parseSimulationParams } = require('./simulator');
+
+const MINUTE = 60000;
+const params = { cpuRequest: 100, targetPercent: 50, minReplicas: 1, maxReplicas: 10 };
+
+// One sample per minute with the given total CPU usage
+function samples(usages, replicas = 4) {
+  return usages.map((cpu, i) => ({ ts: i * MINUTE, usage: { cpu }, requests: { cpu: replicas * 100 }, replicas }));
+}
+
+test('no scaling inside the tolerance', () => {
+  // 105m over 2 x 100m = 52.5%, 5% above a 50% target
+  assert.deepEqual(evaluateStep(2, 105, { ...params, tolerance: 0.1 }), { utilization: 52.5, desired: 2 });
+  // 120m = 60%, 20% above: ceil(2 x 1.2)
+  assert.deepEqual(evaluateStep(2, 120, { ...params, tolerance: 0.1 }), { utilization: 60, desired: 3 });
+  // A tighter tolerance scales on the same reading
+  assert.equal(evaluateStep(2, 105, { ...params, tolerance: 0.01 }).desired, 3);
+});
+
+test('scale-up is immediate and clamped to maxReplicas', () => {
+  const { series, summary } = simulateHPA(samples([200, 1000, 5000]), params);
+  assert.deepEqual(series.map(pt => pt.replicas), [4, 10, 10]);
+  assert.equal(series[2].desired, 100);
+  assert.equal(summary.atMaxSamples, 2);
+  assert.equal(summary.peakReplicas, 10);
+});
+
+test('scale-down waits for the stabilization window', () => {
+  const { series, summary } = simulateHPA(samples([200, 50, 50, 50, 50, 50, 50]), params);
+  // The 4-replica recommendation at t=0 holds until it leaves the 5-minute window
+  assert.deepEqual(series.map(pt => pt.replicas), [4, 4, 4, 4, 4, 4, 1]);
+  assert.equal(summary.scaled, true);
+  assert.equal(summary.finalReplicas, 1);
+
+  const short = simulateHPA(samples([200, 50, 50]), { ...params, downscaleStabilizationSeconds: 60 });
+  assert.deepEqual(short.series.map(pt => pt.replicas), [4, 4, 1]);
+});
+
+test('replicas feed back into the next step', () => {
+  const { series } = simulateHPA(samples([800, 800]), params);
+  // 800m / (4 x 100m) = 200% -> 16, clamped to 10; then 800m / 10 pods = 80% -> 16 again
+  assert.deepEqual(series.map(pt => [pt.utilization, pt.replicas]), [[200, 10], [80, 10]]);
+});
+
+test('reports the actual replicas and utilization next to the simulated ones', () => {
+  const { series, summary } = simulateHPA(samples([200], 4), params);
+  assert.deepEqual(series[0], { ts: 0, usage: 200, actualReplicas: 4, actualUtilization: 50, utilization: 50, desired: 4, replicas: 4 });
+  assert.equal(summary.scaled, false);
+  assert.equal(summary.peakActualUtilization, 50);
+});
+
+test('starts from minReplicas without samples', () => {
+  const { series, summary } = simulateHPA([], { ...params, minReplicas: 2 });
+  assert.deepEqual(series, []);
+  assert.equal(summary.finalReplicas, null);
+});
+
+test('parseSimulationParams falls back to the defaults', () => {
+  assert.deepEqual(parseSimulationParams({}, params), params);
+  assert.deepEqual(parseSimulationParams({ cpuRequest: '200', target: '', max: '5' }, params),
+    { cpuRequest: 200, targetPercent: 50, minReplicas: 1, maxReplicas: 5 });
+});
+
+test('parseSimulationParams rejects values out of range', () => {
+  assert.throws(() => parseSimulationParams({ cpuRequest: '0' }, params), /cpuRequest inválido: 0 \(use 1-64000\)/);
+  assert.throws(() => parseSimulationParams({ target: '1.5' }, params), /target inválido/);
+  assert.throws(() => parseSimulationParams({ max: '101' }, params), /max inválido: 101 \(use 1-100\)/);
+  assert.throws(() => parseSimulationParams({ min: 'abc' }, params), /min inválido/);
+  assert.throws(() => parseSimulationParams({ min: '6', max: '5' }, params), /min não pode ser maior que max/);
+});
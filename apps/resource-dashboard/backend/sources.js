@@ -0,0 +1,90 @@
+// --- API calls: shared cache, per-source status and backoff ---
+// Live API calls go through a short-TTL cache keyed by source and namespace, so
+// concurrent clients, on-demand namespaces and bursts of watch pushes share one
+// request. Optional sources (metrics, VPAs, quotas, ...) never fail the whole
+// payload: their state ends up in `sources` ('ok', 'unavailable', 'forbidden' or
+// 'not-installed') and a failing source is retried with exponential backoff,
+// from `backoffMs` up to `backoffMaxMs`, instead of on every refresh. Until it
+// recovers, the last good result (if no older than `backoffMaxMs`) is served in
+// place of the fallback; `sources` still reports the failure.
+// `now` is the clock, replaceable in tests.
+
+const DEFAULTS = {
+  cacheTtlMs: 5000,
+  backoffMs: 5000,
+  backoffMaxMs: 300000
+};
+
+function sourceStatus(err) {
+  if (err.code === 401 || err.code === 403) return 'forbidden';
+  if (err.code === 404) return 'not-installed';
+  return 'unavailable';
+}
+
+function createSourceFetcher({ now = Date.now, ...options } = {}) {
+  const o = { ...DEFAULTS };
+  for (const [k, v] of Object.entries(options)) if (v !== undefined) o[k] = v;
+
+  const apiCache = new Map();  // source/ns -> { at, promise }
+  const failures = new Map();  // source/ns -> { count, retryAt, status }
+  const lastGood = new Map();  // source/ns -> { at, result }
+
+  function cachedCall(key, fn) {
+    const hit = apiCache.get(key);
+    if (hit && now() - hit.at < o.cacheTtlMs) return hit.promise;
+    const promise = fn();
+    apiCache.set(key, { at: now(), promise });
+    promise.catch(() => { if (apiCache.get(key)?.promise === promise) apiCache.delete(key); });
+    return promise;
+  }
+
+  function staleOr(key, fallback) {
+    const last = lastGood.get(key);
+    return last && now() - last.at <= o.backoffMaxMs ? last.result : fallback;
+  }
+
+  // Fetch an optional source; on failure (or while backing off) record its status
+  // in `sources` and return the last good result or `fallback`. ns '*' means a
+  // cluster-wide call.
+  async function fetchSource(sources, name, ns, fn, fallback = { items: [] }) {
+    const key = `${name}/${ns}`;
+    const failed = failures.get(key);
+    if (failed && now() < failed.retryAt) {
+      sources[name] = failed.status;
+      return staleOr(key, fallback);
+    }
+    try {
+      const result = await cachedCall(key, fn);
+      if (failed) {
+        failures.delete(key);
+        console.log(`[sources] ${key} voltou a responder`);
+      }
+      lastGood.set(key, { at: now(), result });
+      sources[name] = 'ok';
+      return result;
+    } catch (err) {
+      const count = (failed?.count || 0) + 1;
+      const delay = Math.min(o.backoffMs * 2 ** (count - 1), o.backoffMaxMs);
+      const status = sourceStatus(err);
+      failures.set(key, { count, retryAt: now() + delay, status });
+      // Not-installed sources (e.g. no VPA CRD) are expected; only log real failures
+      if (status !== 'not-installed') {
+        const reason = String(err.message).split('\n')[0]; // ApiException messages carry headers and body
+        console.error(`[sources] ${key} ${status} (${reason}); nova tentativa em ${Math.round(delay / 1000)}s`);
+      }
+      sources[name] = status;
+      return staleOr(key, fallback);
+    }
+  }
+
+  // Drop expired entries (namespaces no longer shown) so the maps do not grow without bound
+  setInterval(() => {
+    const t = now();
+    for (const [key, entry] of apiCache) if (t - entry.at >= o.cacheTtlMs) apiCache.delete(key);
+    for (const [key, entry] of lastGood) if (t - entry.at > o.backoffMaxMs) lastGood.delete(key);
+  }, Math.max(o.cacheTtlMs, 60000)).unref();
+
+  return { cachedCall, fetchSource };
+}
+
+module.exports = { DEFAULTS, sourceStatus, createSourceFetcher };
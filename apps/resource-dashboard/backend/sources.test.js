@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sourceStatus, createSourceFetcher } = require('./sources');
+
+const SECOND = 1000;
+
+// A fetcher on a hand-driven clock; console output is silenced
+function fetcher(t, options = {}) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const clock = { at: 0 };
+  const f = createSourceFetcher({ now: () => clock.at, cacheTtlMs: SECOND, backoffMs: 5 * SECOND, backoffMaxMs: 60 * SECOND, ...options });
+  return { ...f, clock };
+}
+
+// An API call that fails while `state.down` is set, counting calls
+function api(state) {
+  return async () => {
+    state.calls++;
+    if (state.down) throw Object.assign(new Error('connect ECONNREFUSED\nheaders...'), { code: state.code });
+    return { items: [`v${state.calls}`] };
+  };
+}
+
+test('sourceStatus maps API errors to a status', () => {
+  assert.equal(sourceStatus({ code: 403 }), 'forbidden');
+  assert.equal(sourceStatus({ code: 401 }), 'forbidden');
+  assert.equal(sourceStatus({ code: 404 }), 'not-installed');
+  assert.equal(sourceStatus({ code: 500 }), 'unavailable');
+  assert.equal(sourceStatus(new Error('timeout')), 'unavailable');
+});
+
+test('cachedCall shares one call within the TTL', async (t) => {
+  const f = fetcher(t);
+  const state = { calls: 0 };
+  const fn = api(state);
+  await Promise.all([f.cachedCall('pods/a', fn), f.cachedCall('pods/a', fn)]);
+  f.clock.at = SECOND - 1;
+  await f.cachedCall('pods/a', fn);
+  assert.equal(state.calls, 1);
+  f.clock.at = SECOND;
+  await f.cachedCall('pods/a', fn);
+  assert.equal(state.calls, 2);
+});
+
+test('cachedCall does not keep a rejected call', async (t) => {
+  const f = fetcher(t);
+  const state = { calls: 0, down: true };
+  await assert.rejects(f.cachedCall('pods/a', api(state)));
+  state.down = false;
+  assert.deepEqual(await f.cachedCall('pods/a', api(state)), { items: ['v2'] });
+});
+
+test('a failing source reports its status and returns the fallback', async (t) => {
+  const f = fetcher(t);
+  const sources = {};
+  const result = await f.fetchSource(sources, 'vpa', 'a', api({ calls: 0, down: true, code: 404 }));
+  assert.deepEqual(result, { items: [] });
+  assert.deepEqual(sources, { vpa: 'not-installed' });
+  assert.equal(console.error.mock.callCount(), 0); // not-installed is expected
+});
+
+test('the backoff doubles on each failure up to the cap', async (t) => {
+  const f = fetcher(t);
+  const state = { calls: 0, down: true, code: 503 };
+  const fn = api(state);
+  const retries = [];
+  for (let i = 0; i < 6; i++) {
+    await f.fetchSource({}, 'metrics', 'a', fn);
+    const calls = state.calls;
+    // Step the clock until the next real call goes out
+    const start = f.clock.at;
+    while (state.calls === calls) {
+      f.clock.at += SECOND;
+      await f.fetchSource({}, 'metrics', 'a', fn);
+    }
+    retries.push((f.clock.at - start) / SECOND);
+  }
+  assert.deepEqual(retries, [5, 10, 20, 40, 60, 60]);
+});
+
+test('the source recovers after a successful call', async (t) => {
+  const f = fetcher(t);
+  const state = { calls: 0, down: true };
+  const fn = api(state);
+  await f.fetchSource({}, 'metrics', 'a', fn);
+  await f.fetchSource({}, 'metrics', 'a', fn);
+  state.down = false;
+
+  // Still backing off: no call, the failure is reported
+  const sources = {};
+  await f.fetchSource(sources, 'metrics', 'a', fn);
+  assert.equal(sources.metrics, 'unavailable');
+  assert.equal(state.calls, 1);
+
+  f.clock.at = 5 * SECOND;
+  assert.deepEqual(await f.fetchSource(sources, 'metrics', 'a', fn), { items: ['v2'] });
+  assert.equal(sources.metrics, 'ok');
+
+  // A later failure starts over from the first backoff step
+  state.down = true;
+  f.clock.at += SECOND;
+  await f.fetchSource({}, 'metrics', 'a', fn);
+  f.clock.at += 5 * SECOND;
+  await f.fetchSource({}, 'metrics', 'a', fn);
+  assert.equal(state.calls, 4);
+});
+
+test('the last good result is served while the source is failing', async (t) => {
+  const f = fetcher(t);
+  const state = { calls: 0 };
+  const fn = api(state);
+  await f.fetchSource({}, 'quotas', 'a', fn);
+
+  state.down = true;
+  f.clock.at = SECOND;
+  const sources = {};
+  assert.deepEqual(await f.fetchSource(sources, 'quotas', 'a', fn), { items: ['v1'] });
+  assert.equal(sources.quotas, 'unavailable');
+  f.clock.at = 2 * SECOND; // backing off
+  assert.deepEqual(await f.fetchSource(sources, 'quotas', 'a', fn), { items: ['v1'] });
+  assert.equal(sources.quotas, 'unavailable');
+  assert.equal(state.calls, 2);
+
+  // Older than backoffMaxMs: back to the fallback
+  f.clock.at = 61 * SECOND;
+  assert.deepEqual(await f.fetchSource(sources, 'quotas', 'a', fn, { items: ['none'] }), { items: ['none'] });
+});
+
+test('sources are tracked per name and namespace', async (t) => {
+  const f = fetcher(t);
+  await f.fetchSource({}, 'metrics', 'a', api({ calls: 0, down: true }));
+  const sources = {};
+  const state = { calls: 0 };
+  await f.fetchSource(sources, 'metrics', 'b', api(state));
+  await f.fetchSource(sources, 'vpa', 'a', api(state));
+  assert.deepEqual(sources, { metrics: 'ok', vpa: 'ok' });
+  assert.equal(state.calls, 2);
+});
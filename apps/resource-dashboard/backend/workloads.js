@@ -0,0 +1,114 @@
+// --- Owning workload of a pod ---
+// A Deployment's pods are owned by a ReplicaSet, which is owned by the Deployment.
+// The ReplicaSet list resolves that second hop; without it (leaderboard, RBAC)
+// the name is recovered from the ReplicaSet name, <deployment>-<pod-template-hash>.
+
+function controllerOf(obj) {
+  const refs = obj.metadata.ownerReferences || [];
+  return refs.find(o => o.controller) || refs[0];
+}
+
+function workloadOf(pod, replicaSets = []) {
+  const owner = controllerOf(pod);
+  if (!owner) return { kind: 'Pod', name: pod.metadata.name };
+  if (owner.kind === 'ReplicaSet') {
+    const rs = replicaSets.find(r => r.metadata.name === owner.name);
+    if (rs) {
+      const rsOwner = controllerOf(rs);
+      return rsOwner ? { kind: rsOwner.kind, name: rsOwner.name } : { kind: 'ReplicaSet', name: owner.name };
+    }
+    const hash = pod.metadata.labels?.['pod-template-hash'];
+    if (hash && owner.name.endsWith('-' + hash)) {
+      return { kind: 'Deployment', name: owner.name.slice(0, -(hash.length + 1)) };
+    }
+  }
+  return { kind: owner.kind, name: owner.name };
+}
+
+// --- Workloads: pods grouped by owner ---
+// Deployments and StatefulSets are listed even with no pods (scaled to 0);
+// other owners (DaemonSet, Job, bare pods) only appear through their pods.
+function buildWorkloads(podData, deployments, statefulSets, hpaData) {
+  const groups = new Map(); // kind/name -> { kind, name, object, pods }
+  const groupFor = (kind, name) => {
+    const key = `${kind}/${name}`;
+    if (!groups.has(key)) groups.set(key, { kind, name, object: null, pods: [] });
+    return groups.get(key);
+  };
+  for (const d of deployments) groupFor('Deployment', d.metadata.name).object = d;
+  for (const s of statefulSets) groupFor('StatefulSet', s.metadata.name).object = s;
+  for (const p of podData) groupFor(p.workload.kind, p.workload.name).pods.push(p);
+
+  const sum = (pods, key) => pods.reduce((acc, p) => ({
+    cpu_millicores: acc.cpu_millicores + p[key].cpu_millicores,
+    memory_mib: acc.memory_mib + p[key].memory_mib
+  }), { cpu_millicores: 0, memory_mib: 0 });
+
+  const workloads = [...groups.values()].map(g => ({
+    kind: g.kind,
+    name: g.name,
+    pods: g.pods.map(p => p.name),
+    replicas: replicaCounts(g),
+    requests: sum(g.pods, 'requests'),
+    limits: sum(g.pods, 'limits'),
+    usage: sum(g.pods, 'usage'),
+    rollout: rolloutStatus(g.kind, g.object),
+    hpa: null
+  })).sort((a, b) => a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name));
+
+  for (const h of hpaData) {
+    const w = workloads.find(w => w.kind === h.scaleTargetRef.kind && w.name === h.scaleTargetRef.name);
+    h.targetFound = !!w;
+    if (w) w.hpa = h.name;
+  }
+  return workloads;
+}
+
+// desired/ready/updated/available; owners without a spec only count their pods
+function replicaCounts({ object, pods }) {
+  const ready = pods.filter(p => p.ready).length;
+  if (!object) return { desired: pods.length, current: pods.length, ready, updated: null, available: null };
+  const s = object.status || {};
+  return {
+    desired: object.spec?.replicas ?? 1,
+    current: s.replicas || 0,
+    ready: s.readyReplicas || 0,
+    updated: s.updatedReplicas || 0,
+    available: s.availableReplicas ?? s.readyReplicas ?? 0 // StatefulSets before 1.22 lack availableReplicas
+  };
+}
+
+// 'complete' | 'progressing' | 'paused' | 'failed', following `kubectl rollout status`
+function rolloutStatus(kind, obj) {
+  if (!obj) return null;
+  const spec = obj.spec || {};
+  const s = obj.status || {};
+  const desired = spec.replicas ?? 1;
+  const updated = s.updatedReplicas || 0;
+  const progressing = (message) => ({ status: 'progressing', message });
+
+  if ((s.observedGeneration || 0) < (obj.metadata.generation || 0)) {
+    return progressing('Aguardando o controller processar a nova versão');
+  }
+
+  if (kind === 'Deployment') {
+    if (spec.paused) return { status: 'paused', message: 'Rollout pausado' };
+    const cond = (s.conditions || []).find(c => c.type === 'Progressing');
+    if (cond?.reason === 'ProgressDeadlineExceeded') {
+      return { status: 'failed', message: cond.message || 'Rollout excedeu o progressDeadlineSeconds' };
+    }
+    if (updated < desired) return progressing(`${updated} de ${desired} réplica(s) atualizada(s)`);
+    if ((s.replicas || 0) > updated) return progressing(`${s.replicas - updated} réplica(s) antiga(s) aguardando término`);
+    if ((s.availableReplicas || 0) < updated) return progressing(`${s.availableReplicas || 0} de ${updated} réplica(s) atualizada(s) disponível(is)`);
+    return { status: 'complete', message: 'Rollout concluído' };
+  }
+
+  // StatefulSet
+  if ((s.readyReplicas || 0) < desired) return progressing(`${s.readyReplicas || 0} de ${desired} réplica(s) pronta(s)`);
+  if (spec.updateStrategy?.type !== 'OnDelete' && s.updateRevision && s.currentRevision !== s.updateRevision) {
+    return progressing(`${updated} de ${desired} réplica(s) na nova revisão`);
+  }
+  return { status: 'complete', message: 'Rollout concluído' };
+}
+
+module.exports = { workloadOf, buildWorkloads, replicaCounts, rolloutStatus };
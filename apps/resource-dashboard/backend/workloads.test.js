@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { workloadOf, buildWorkloads, rolloutStatus } = require('./workloads');
+
+function pod(name, owners = [], labels = {}) {
+  return { metadata: { name, labels, ownerReferences: owners } };
+}
+
+const owner = (kind, name) => ({ kind, name, controller: true });
+const replicaSet = (name, owners = []) => ({ metadata: { name, ownerReferences: owners } });
+
+test('a pod without owners is its own workload', () => {
+  assert.deepEqual(workloadOf(pod('debug')), { kind: 'Pod', name: 'debug' });
+});
+
+test('StatefulSet and DaemonSet pods belong to their owner', () => {
+  assert.deepEqual(workloadOf(pod('db-0', [owner('StatefulSet', 'db')])), { kind: 'StatefulSet', name: 'db' });
+  assert.deepEqual(workloadOf(pod('agent-x1', [owner('DaemonSet', 'agent')])), { kind: 'DaemonSet', name: 'agent' });
+});
+
+test('the controller reference wins over other owners', () => {
+  const p = pod('web-1', [{ kind: 'ConfigMap', name: 'cm' }, owner('StatefulSet', 'web')]);
+  assert.deepEqual(workloadOf(p), { kind: 'StatefulSet', name: 'web' });
+});
+
+test('a ReplicaSet is resolved to its Deployment through the ReplicaSet list', () => {
+  const p = pod('web-7d9f-abc', [owner('ReplicaSet', 'web-7d9f')]);
+  const rs = replicaSet('web-7d9f', [owner('Deployment', 'web')]);
+  assert.deepEqual(workloadOf(p, [rs]), { kind: 'Deployment', name: 'web' });
+});
+
+test('a ReplicaSet without a Deployment owner is the workload', () => {
+  const p = pod('standalone-abc', [owner('ReplicaSet', 'standalone')]);
+  assert.deepEqual(workloadOf(p, [replicaSet('standalone')]), { kind: 'ReplicaSet', name: 'standalone' });
+});
+
+test('without the ReplicaSet list the Deployment name comes from the pod-template-hash', () => {
+  const p = pod('web-7d9f-abc', [owner('ReplicaSet', 'web-7d9f')], { 'pod-template-hash': '7d9f' });
+  assert.deepEqual(workloadOf(p), { kind: 'Deployment', name: 'web' });
+  // No matching hash: the ReplicaSet is all that is known
+  const other = pod('rs-abc', [owner('ReplicaSet', 'rs')], { 'pod-template-hash': 'zzz' });
+  assert.deepEqual(workloadOf(other), { kind: 'ReplicaSet', name: 'rs' });
+});
+
+function deployment(overrides = {}) {
+  return {
+    metadata: { name: 'web', generation: 2 },
+    spec: { replicas: 3, ...overrides.spec },
+    status: {
+      observedGeneration: 2,
+      replicas: 3,
+      updatedReplicas: 3,
+      readyReplicas: 3,
+      availableReplicas: 3,
+      conditions: [{ type: 'Progressing', status: 'True', reason: 'NewReplicaSetAvailable' }],
+      ...overrides.status
+    }
+  };
+}
+
+function statefulSet(overrides = {}) {
+  return {
+    metadata: { name: 'db', generation: 1 },
+    spec: { replicas: 2, ...overrides.spec },
+    status: {
+      observedGeneration: 1,
+      replicas: 2,
+      readyReplicas: 2,
+      updatedReplicas: 2,
+      currentRevision: 'db-1',
+      updateRevision: 'db-1',
+      ...overrides.status
+    }
+  };
+}
+
+test('a rolled out Deployment is complete', () => {
+  assert.equal(rolloutStatus('Deployment', deployment()).status, 'complete');
+});
+
+test('a Deployment is progressing while replicas are updated, terminated or become available', () => {
+  const unobserved = deployment();
+  unobserved.metadata.generation = 3;
+  assert.deepEqual(rolloutStatus('Deployment', unobserved), {
+    status: 'progressing', message: 'Aguardando o controller processar a nova versão'
+  });
+  assert.deepEqual(rolloutStatus('Deployment', deployment({ status: { updatedReplicas: 1 } })), {
+    status: 'progressing', message: '1 de 3 réplica(s) atualizada(s)'
+  });
+  assert.deepEqual(rolloutStatus('Deployment', deployment({ status: { replicas: 4 } })), {
+    status: 'progressing', message: '1 réplica(s) antiga(s) aguardando término'
+  });
+  assert.deepEqual(rolloutStatus('Deployment', deployment({ status: { availableReplicas: 2 } })), {
+    status: 'progressing', message: '2 de 3 réplica(s) atualizada(s) disponível(is)'
+  });
+});
+
+test('a Deployment past its progress deadline has failed', () => {
+  const d = deployment({
+    status: {
+      updatedReplicas: 1,
+      conditions: [{ type: 'Progressing', status: 'False', reason: 'ProgressDeadlineExceeded', message: 'ReplicaSet "web-2" has timed out progressing.' }]
+    }
+  });
+  assert.deepEqual(rolloutStatus('Deployment', d), { status: 'failed', message: 'ReplicaSet "web-2" has timed out progressing.' });
+});
+
+test('a paused Deployment is paused', () => {
+  assert.equal(rolloutStatus('Deployment', deployment({ spec: { paused: true }, status: { updatedReplicas: 1 } })).status, 'paused');
+});
+
+test('a StatefulSet is progressing until every replica is ready and on the new revision', () => {
+  assert.equal(rolloutStatus('StatefulSet', statefulSet()).status, 'complete');
+  assert.equal(rolloutStatus('StatefulSet', statefulSet({ status: { readyReplicas: 1 } })).status, 'progressing');
+  assert.equal(rolloutStatus('StatefulSet', statefulSet({ status: { updateRevision: 'db-2', updatedReplicas: 1 } })).status, 'progressing');
+  // OnDelete never rolls pods on its own
+  assert.equal(rolloutStatus('StatefulSet', statefulSet({
+    spec: { updateStrategy: { type: 'OnDelete' } },
+    status: { updateRevision: 'db-2' }
+  })).status, 'complete');
+});
+
+test('owners without an object have no rollout status', () => {
+  assert.equal(rolloutStatus('DaemonSet', null), null);
+});
+
+function podRow(name, workload, ready = true) {
+  const r = { cpu_millicores: 100, memory_mib: 64 };
+  return { name, workload, ready, requests: r, limits: r, usage: r };
+}
+
+test('buildWorkloads groups pods, keeps scaled-to-0 workloads and links HPAs by kind and name', () => {
+  const web = { kind: 'Deployment', name: 'web' };
+  const pods = [
+    podRow('web-1', web),
+    podRow('web-2', web, false),
+    podRow('debug', { kind: 'Pod', name: 'debug' })
+  ];
+  const idle = deployment({ spec: { replicas: 0 } });
+  idle.metadata.name = 'idle';
+  const hpas = [
+    { name: 'web-hpa', scaleTargetRef: { kind: 'Deployment', name: 'web' } },
+    { name: 'db-hpa', scaleTargetRef: { kind: 'StatefulSet', name: 'web' } }
+  ];
+  const workloads = buildWorkloads(pods, [deployment(), idle], [], hpas);
+
+  assert.deepEqual(workloads.map(w => `${w.kind}/${w.name}`), ['Deployment/idle', 'Deployment/web', 'Pod/debug']);
+  const w = workloads[1];
+  assert.deepEqual(w.pods, ['web-1', 'web-2']);
+  assert.deepEqual(w.requests, { cpu_millicores: 200, memory_mib: 128 });
+  assert.equal(w.hpa, 'web-hpa');
+  assert.equal(w.rollout.status, 'complete');
+  assert.deepEqual(workloads[2].replicas, { desired: 1, current: 1, ready: 1, updated: null, available: null });
+  assert.deepEqual(workloads[0].pods, []);
+  assert.equal(hpas[0].targetFound, true);
+  assert.equal(hpas[1].targetFound, false);
+});
@@ -1,37 +1,638 @@
-const REFRESH_INTERVAL = 5000;
+const REFRESH_INTERVAL = 5000; // polling fallback when EventSource is unavailable
 const dashboard = document.getElementById('dashboard');
 const statusDot = document.getElementById('statusDot');
 const statusText = document.getElementById('statusText');
+const refreshInfo = document.getElementById('refreshInfo');
 
-// --- Fetch & Render Loop ---
+// Latest data per namespace, in the order the backend sent the snapshot
+let namespaces = [];
+
+// Namespaces picked in the UI (null = the backend's default set)
+const SELECTION_KEY = 'resource-dashboard.namespaces';
+let selectedNames = JSON.parse(localStorage.getItem(SELECTION_KEY) || 'null');
+let stream = null;
+
+// Picked names the backend did not open: unknown to it (no login) or not
+// visible to the user. Listed in the picker, which reopens after an Apply
+let rejectedNames = [];
+let reopenPickerOnReject = false;
+
+function namesQuery() {
+  return selectedNames ? '?names=' + encodeURIComponent(selectedNames.join(',')) : '';
+}
+
+// Usage history per namespace, for the sparklines
+const HISTORY_WINDOW = '1h';
+const HISTORY_WINDOW_MS = 60 * 60 * 1000;
+const usageHistory = {};
+
+function setConnected() {
+  statusDot.className = 'status-dot';
+  statusText.textContent = 'Conectado ao cluster';
+}
+
+function setError(message) {
+  statusDot.className = 'status-dot error';
+  statusText.textContent = 'Erro: ' + message;
+}
+
+// With AUTH_MODE=token the backend answers 401/403 for missing or
+// insufficient credentials; say so instead of a bare status code
+function httpError(res) {
+  if (res.status === 401) return new Error('sessão expirada -- recarregue a página para entrar novamente');
+  if (res.status === 403) return new Error('sem permissão para ver estes dados');
+  return new Error(`HTTP ${res.status}`);
+}
+
+function markUpdated() {
+  if (!refreshInfo) return;
+  refreshInfo.textContent = replayState
+    ? 'Replay -- gravado às ' + new Date(replayState.ts).toLocaleString('pt-BR')
+    : 'Ao vivo -- atualizado às ' + new Date().toLocaleTimeString('pt-BR');
+}
+
+// --- Live updates (Server-Sent Events) ---
+function connectStream() {
+  if (stream) stream.close();
+  rejectedNames = [];
+  stream = new EventSource('/api/stream' + namesQuery());
+
+  stream.addEventListener('snapshot', (e) => {
+    namespaces = JSON.parse(e.data);
+    setConnected();
+    markUpdated();
+    renderDashboard(namespaces);
+    showRejected(rejectedNames);
+    loadHistory();
+  });
+
+  stream.addEventListener('sample', (e) => {
+    const { namespace, sample } = JSON.parse(e.data);
+    const samples = usageHistory[namespace] || (usageHistory[namespace] = []);
+    samples.push(sample);
+    while (samples.length && samples[0].ts < Date.now() - HISTORY_WINDOW_MS) samples.shift();
+  });
+
+  stream.addEventListener('namespace', (e) => {
+    const ns = JSON.parse(e.data);
+    const idx = namespaces.findIndex(n => n.namespace === ns.namespace);
+    if (idx === -1) {
+      // A namespace discovered by label joins the default view
+      if (selectedNames) return;
+      namespaces.push(ns);
+    } else {
+      namespaces[idx] = ns;
+    }
+    setConnected();
+    markUpdated();
+    renderDashboard(namespaces);
+  });
+
+  stream.addEventListener('removed', (e) => {
+    const { namespace } = JSON.parse(e.data);
+    namespaces = namespaces.filter(n => n.namespace !== namespace);
+    renderDashboard(namespaces);
+  });
+
+  // Sent just before the snapshot it applies to
+  stream.addEventListener('rejected', (e) => {
+    rejectedNames = JSON.parse(e.data).names;
+  });
+
+  stream.addEventListener('replay', (e) => {
+    replayState = JSON.parse(e.data);
+    renderReplayBar();
+    markUpdated();
+  });
+
+  stream.addEventListener('failure', (e) => {
+    setError(JSON.parse(e.data).error);
+  });
+
+  // EventSource reconnects on its own; just reflect the state
+  stream.onerror = () => setError('conexão perdida, reconectando...');
+}
+
+// --- History ---
+async function loadHistory() {
+  await Promise.all(namespaces.map(async (ns) => {
+    try {
+      const res = await fetch(`/api/namespaces/${encodeURIComponent(ns.namespace)}/history?window=${HISTORY_WINDOW}`);
+      if (!res.ok) return;
+      usageHistory[ns.namespace] = (await res.json()).samples;
+    } catch (err) {
+      console.error('Falha ao buscar histórico:', err);
+    }
+  }));
+  renderDashboard(namespaces);
+}
+
+// --- Fetch & Render Loop (fallback) ---
 async function fetchAndRender() {
   try {
-    const res = await fetch('/api/namespaces');
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const res = await fetch('/api/namespaces' + namesQuery());
+    if (!res.ok) throw httpError(res);
+    namespaces = await res.json();
+    showRejected((res.headers.get('X-Rejected-Namespaces') || '').split(',').filter(Boolean));
+    await fetchReplayState();
+
+    setConnected();
+    await loadHistory();
+  } catch (err) {
+    setError(err.message);
+    console.error('Falha ao buscar dados:', err);
+  }
+}
+
+// --- Report download ---
+const reportMenu = document.getElementById('reportMenu');
+const REPORT_FORMATS = [
+  { format: 'html', label: 'HTML (para imprimir)' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'csv', label: 'CSV (planilha)' },
+  { format: 'json', label: 'JSON' }
+];
+
+function toggleReportMenu() {
+  picker.classList.remove('open');
+  if (!reportMenu.classList.toggle('open')) return;
+  // The report covers the namespaces on screen
+  const names = namespaces.length ? '&names=' + encodeURIComponent(namespaces.map(n => n.namespace).join(',')) : '';
+  reportMenu.innerHTML = `
+    <div class="ns-picker-title">Baixar relatório</div>
+    ${REPORT_FORMATS.map(f => `
+      <a class="ns-picker-item" href="/api/report?format=${f.format}${names}" download
+        onclick="reportMenu.classList.remove('open')">${f.label}</a>`).join('')}`;
+}
+
+// --- Replay controls (backend started with DASHBOARD_REPLAY) ---
+const replayBar = document.getElementById('replayBar');
+let replayState = null;
+
+async function fetchReplayState() {
+  try {
+    const res = await fetch('/api/replay');
+    replayState = res.ok ? await res.json() : null;
+  } catch (err) {
+    replayState = null;
+  }
+  renderReplayBar();
+}
+
+async function replayControl(body) {
+  try {
+    const res = await fetch('/api/replay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) throw httpError(res);
+    replayState = await res.json();
+    renderReplayBar();
+    if (!stream) fetchAndRender();
+  } catch (err) {
+    setError(err.message);
+  }
+}
+
+function renderReplayBar() {
+  if (!replayState) {
+    replayBar.hidden = true;
+    return;
+  }
+  const r = replayState;
+  const minutes = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+  replayBar.hidden = false;
+  replayBar.innerHTML = `
+    <span class="replay-tag">Replay</span>
+    <button class="rec-toggle" onclick="replayControl({ action: '${r.playing ? 'pause' : 'play'}' })">${r.playing ? 'Pausar' : 'Reproduzir'}</button>
+    <input type="range" class="replay-seek" min="0" max="${r.total - 1}" value="${r.index}"
+      onchange="replayControl({ action: 'seek', index: parseInt(this.value) })">
+    <span class="replay-time">${minutes(r.ts - r.start)} / ${minutes(r.end - r.start)}</span>
+    <span class="replay-time">${new Date(r.ts).toLocaleString('pt-BR')}</span>`;
+}
+
+// --- Namespace picker ---
+const picker = document.getElementById('nsPicker');
+
+async function togglePicker() {
+  reportMenu.classList.remove('open');
+  if (picker.classList.toggle('open')) await renderPicker();
+}
+
+async function renderPicker() {
+  let available = [];
+  try {
+    const res = await fetch('/api/namespaces/available');
+    if (res.ok) available = await res.json();
+  } catch (err) {
+    console.error('Falha ao listar namespaces:', err);
+  }
+
+  const shown = namespaces.map(n => n.namespace);
+  const names = [...new Set([...shown, ...available.map(a => a.name)])];
+  const roleOf = (name) => available.find(a => a.name === name)?.role;
+
+  picker.innerHTML = `
+    <div class="ns-picker-title">Namespaces comparados</div>
+    ${names.map(name => `
+      <label class="ns-picker-item">
+        <input type="checkbox" value="${name}" ${shown.includes(name) ? 'checked' : ''}>
+        <span>${name}</span>
+        ${roleOf(name) ? `<span class="ns-badge ${roleOf(name)}">${roleOf(name)}</span>` : ''}
+      </label>`).join('')}
+    ${rejectedNames.length ? `
+      <div class="ns-picker-note">
+        Não abertos: ${rejectedNames.join(', ')}. Sem login só abrem namespaces já monitorados (no replay, os da gravação); com login, os que você tem permissão de ver.
+      </div>` : ''}
+    <div class="ns-picker-add">
+      <input type="text" id="nsPickerInput" placeholder="outro namespace" onkeydown="if (event.key === 'Enter') addPickerNamespace()">
+      <button onclick="addPickerNamespace()">Adicionar</button>
+    </div>
+    <div class="ns-picker-actions">
+      <button onclick="resetSelection()">Padrão</button>
+      <button class="primary" onclick="applySelection()">Aplicar</button>
+    </div>`;
+}
+
+function addPickerNamespace() {
+  const input = document.getElementById('nsPickerInput');
+  const name = input.value.trim().toLowerCase();
+  if (!name || picker.querySelector(`input[value="${CSS.escape(name)}"]`)) return;
+  const item = document.createElement('label');
+  item.className = 'ns-picker-item';
+  item.innerHTML = `<input type="checkbox" checked><span></span>`;
+  item.querySelector('input').value = name;
+  item.querySelector('span').textContent = name;
+  picker.querySelector('.ns-picker-add').before(item);
+  input.value = '';
+}
+
+function showRejected(names) {
+  rejectedNames = names;
+  if (!reopenPickerOnReject) return;
+  reopenPickerOnReject = false;
+  if (names.length && !picker.classList.contains('open')) {
+    picker.classList.add('open');
+    renderPicker();
+  }
+}
+
+function applySelection() {
+  drillUser = null;
+  reopenPickerOnReject = true;
+  const checked = [...picker.querySelectorAll('.ns-picker-item input:checked')].map(i => i.value);
+  setSelection(checked.length ? checked : null);
+}
+
+function resetSelection() {
+  drillUser = null;
+  setSelection(null);
+}
+
+function setSelection(names, persist = true) {
+  selectedNames = names;
+  if (persist && names) localStorage.setItem(SELECTION_KEY, JSON.stringify(names));
+  else if (persist) localStorage.removeItem(SELECTION_KEY);
+  picker.classList.remove('open');
+  if (stream) connectStream();
+  else fetchAndRender();
+}
+
+// --- Leaderboard (per-user comparison) ---
+const LEADERBOARD_INTERVAL = 15000;
+let view = 'namespaces';
+let drillUser = null;
+let selectionBeforeDrill = null;
+let leaderboardTimer = null;
+
+function toggleLeaderboard() {
+  if (view === 'leaderboard') showNamespaces();
+  else showLeaderboard();
+}
+
+function showLeaderboard() {
+  view = 'leaderboard';
+  clearInterval(nodesTimer);
+  dashboard.innerHTML = '<div class="loading">Montando ranking...</div>';
+  fetchLeaderboard();
+  clearInterval(leaderboardTimer);
+  leaderboardTimer = setInterval(fetchLeaderboard, LEADERBOARD_INTERVAL);
+}
+
+function showNamespaces() {
+  view = 'namespaces';
+  clearInterval(leaderboardTimer);
+  clearInterval(nodesTimer);
+  renderDashboard(namespaces);
+}
+
+async function fetchLeaderboard() {
+  try {
+    const res = await fetch('/api/leaderboard');
+    if (!res.ok) throw httpError(res);
     const data = await res.json();
+    if (view === 'leaderboard') dashboard.innerHTML = renderLeaderboard(data);
+  } catch (err) {
+    setError(err.message);
+    console.error('Falha ao buscar ranking:', err);
+  }
+}
+
+function drillDown(user, names) {
+  if (!drillUser) selectionBeforeDrill = selectedNames;
+  drillUser = user;
+  clearInterval(leaderboardTimer);
+  clearInterval(nodesTimer);
+  view = 'namespaces';
+  dashboard.innerHTML = `<div class="loading">Carregando namespaces de ${user}...</div>`;
+  setSelection(names, false);
+}
+
+function backToLeaderboard() {
+  drillUser = null;
+  setSelection(selectionBeforeDrill, false);
+  showLeaderboard();
+}
+
+function renderLeaderboard(data) {
+  if (data.users.length === 0) {
+    return `<div class="card leaderboard">
+      <div class="card-title">Ranking por usuário</div>
+      <div class="hpa-status-bar unknown">Nenhum namespace de participante encontrado (ex.: user01-app-bom)</div>
+    </div>`;
+  }
+
+  const w = data.weights;
+  const rows = data.users.map(u => `
+    <tr class="leaderboard-row" onclick='drillDown(${JSON.stringify(u.user)}, ${JSON.stringify(u.namespaces)})'>
+      <td class="leaderboard-rank">${u.rank}</td>
+      <td><strong>${u.user}</strong><div class="leaderboard-ns">${u.namespaces.join(', ')}</div></td>
+      <td>
+        <div class="leaderboard-score">
+          <div class="bar-track"><div class="bar-fill usage" style="width: ${u.score}%"></div></div>
+          <span>${u.score}</span>
+        </div>
+      </td>
+      <td>${u.wastePercent === null
+        ? '<em>sem métricas</em>'
+        : `${u.wastePercent}% <span class="leaderboard-sub">CPU ${u.cpuWastePercent}% / Mem ${u.memWastePercent}%</span>`}</td>
+      <td>${u.hpa.total ? `${u.hpa.healthy}/${u.hpa.total}` : '<em>sem HPA</em>'}</td>
+      <td class="${u.oomKills > 0 ? 'restart-warn' : ''}">${u.oomKills}</td>
+      <td>${u.restarts}</td>
+    </tr>`).join('');
+
+  return `
+    <div class="card leaderboard">
+      <div class="card-title">Ranking por usuário</div>
+      ${renderSourcesBanner(data.sources)}
+      <div class="metric-note">
+        Pontuação = ${w.waste}% baixo desperdício + ${w.hpa}% HPAs saudáveis + ${w.oom}% sem OOMKill.
+        Clique em um usuário para ver os painéis dele.
+      </div>
+      <table class="pod-table">
+        <thead>
+          <tr><th>#</th><th>Usuário</th><th>Pontuação</th><th>Desperdício</th><th>HPA ok</th><th>OOMKills</th><th>Restarts</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
 
-    statusDot.className = 'status-dot';
-    statusText.textContent = 'Conectado ao cluster';
+// --- Nodes (bin-packing view) ---
+// Each node's allocatable capacity as a bar, split into the requests of every
+// namespace on it; the lighter part of a slice is reserved but not used.
+const NODES_INTERVAL = 15000;
+let nodesTimer = null;
 
-    renderDashboard(data);
+function toggleNodes() {
+  if (view === 'nodes') showNamespaces();
+  else showNodes();
+}
+
+function showNodes() {
+  view = 'nodes';
+  clearInterval(leaderboardTimer);
+  dashboard.innerHTML = '<div class="loading">Carregando nodes...</div>';
+  fetchNodes();
+  clearInterval(nodesTimer);
+  nodesTimer = setInterval(fetchNodes, NODES_INTERVAL);
+}
+
+async function fetchNodes() {
+  try {
+    const res = await fetch('/api/nodes' + namesQuery());
+    if (!res.ok) throw httpError(res);
+    const data = await res.json();
+    if (view === 'nodes') dashboard.innerHTML = renderNodes(data);
   } catch (err) {
-    statusDot.className = 'status-dot error';
-    statusText.textContent = 'Erro: ' + err.message;
-    console.error('Falha ao buscar dados:', err);
+    setError(err.message);
+    console.error('Falha ao buscar nodes:', err);
+  }
+}
+
+function renderNodes(data) {
+  if (data.nodes.length === 0) {
+    return `<div class="card nodes-view">
+      <div class="card-title">Capacidade dos Nodes</div>
+      <div class="hpa-status-bar unknown">Nenhum node visível para o dashboard</div>
+    </div>`;
+  }
+
+  const legend = data.nodes
+    .flatMap(n => n.namespaces)
+    .filter((s, i, all) => all.findIndex(o => o.namespace === s.namespace) === i)
+    .map(s => `<div class="legend-item"><div class="legend-dot ${nodeSliceClass(s)}"></div> ${escapeHtml(s.namespace)}</div>`)
+    .join('');
+
+  return `
+    <div class="card nodes-view">
+      <div class="card-title">Capacidade dos Nodes (requests por namespace)</div>
+      <div class="legend">${legend}</div>
+      ${renderSourcesBanner(data.sources)}
+      <div class="metric-note">
+        Cada barra é o allocatable do node. A parte clara de cada fatia está reservada (request) mas ociosa;
+        o traço marca o uso real do node (Metrics API).
+      </div>
+      ${data.nodes.map(renderNode).join('')}
+    </div>`;
+}
+
+function renderNode(node) {
+  const flags = [
+    node.roles.join(', '),
+    node.instanceType,
+    node.ready ? null : 'NotReady',
+    node.unschedulable ? 'cordoned' : null
+  ].filter(Boolean).join(' · ');
+
+  const bar = (key, unit) => {
+    const alloc = node.allocatable[key];
+    const requested = node.requests[key];
+    const slices = node.namespaces.map(s => {
+      const width = alloc > 0 ? s.requests[key] / alloc * 100 : 0;
+      const used = s.requests[key] > 0 ? Math.min(s.usage[key] / s.requests[key] * 100, 100) : 0;
+      return `<div class="node-slice ${nodeSliceClass(s)}" style="width: ${width}%" title="${escapeHtml(s.namespace)}: ${s.usage[key]}${unit} usados de ${s.requests[key]}${unit} reservados (${s.pods} pod(s))">
+        <div class="node-slice-used" style="width: ${used}%"></div>
+      </div>`;
+    }).join('');
+    const marker = node.usage
+      ? `<div class="node-usage-marker" style="left: ${pct(node.usage[key], alloc)}%"></div>`
+      : '';
+    return `
+      <div class="bar-group">
+        <div class="bar-label">
+          <span>${key === 'cpu_millicores' ? 'CPU' : 'Memória'}</span>
+          <strong class="${requested > alloc ? 'restart-warn' : ''}">
+            ${requested}${unit} reservados (${pct(requested, alloc)}%)
+            ${node.usage ? ` / ${node.usage[key]}${unit} em uso` : ''} / ${alloc}${unit} allocatable
+          </strong>
+        </div>
+        <div class="bar-track node-track">${slices}${marker}</div>
+      </div>`;
+  };
+
+  return `
+    <div class="node-row">
+      <div class="node-name">${escapeHtml(node.name)} <span class="leaderboard-sub">${escapeHtml(flags)}</span></div>
+      ${bar('cpu_millicores', 'm')}
+      ${bar('memory_mib', ' Mi')}
+    </div>`;
+}
+
+function nodeSliceClass(slice) {
+  if (slice.other) return 'other';
+  return slice.role === 'bad' || slice.role === 'good' ? slice.role : 'neutral';
+}
+
+// --- HPA what-if simulator ---
+// A view of its own, so live updates do not re-render the form while typing.
+// The first request (no params) returns the namespace's current values as defaults.
+let simNamespace = null;
+let simResult = null;
+
+function openSimulator(ns) {
+  view = 'simulator';
+  simNamespace = ns;
+  simResult = null;
+  clearInterval(leaderboardTimer);
+  clearInterval(nodesTimer);
+  dashboard.innerHTML = `<div class="loading">Carregando histórico de ${escapeHtml(ns)}...</div>`;
+  runSimulation(false);
+}
+
+async function runSimulation(withParams = true) {
+  const form = document.getElementById('simForm');
+  const query = new URLSearchParams();
+  if (withParams && form) {
+    for (const name of ['cpuRequest', 'target', 'min', 'max']) query.set(name, form.elements[name].value);
+  }
+  try {
+    const res = await fetch(`/api/namespaces/${encodeURIComponent(simNamespace)}/simulate?${query}`);
+    if (res.status === 400) throw new Error((await res.json()).error);
+    if (!res.ok) throw httpError(res);
+    simResult = await res.json();
+    if (view === 'simulator') dashboard.innerHTML = renderSimulator(simResult);
+  } catch (err) {
+    if (view !== 'simulator') return;
+    const errorBox = document.getElementById('simError');
+    if (errorBox) errorBox.textContent = err.message;
+    else dashboard.innerHTML = `<div class="card"><div class="hpa-status-bar unknown">${escapeHtml(err.message)}</div></div>`;
+  }
+}
+
+function renderSimulator(data) {
+  const p = data.params;
+  const d = data.defaults;
+  const sum = data.summary;
+  const field = (name, label, value, unit, hint) => `
+    <label class="sim-field">
+      <span>${label}</span>
+      <input type="number" name="${name}" value="${value}" min="1"> ${unit}
+      <span class="sim-hint">atual: ${hint}</span>
+    </label>`;
+
+  let verdict;
+  if (sum.samples === 0) {
+    verdict = '<div class="hpa-status-bar unknown">Sem histórico de uso ainda -- aguarde algumas amostras</div>';
+  } else if (!sum.scaled) {
+    verdict = `<div class="hpa-status-bar unknown">O HPA <strong>nunca escalaria</strong>: utilização máxima de ${sum.peakUtilization}% contra target de ${p.targetPercent}%</div>`;
+  } else {
+    verdict = `<div class="hpa-status-bar scaling">O HPA chegaria a <strong>${sum.peakReplicas} réplica(s)</strong>
+      (real: ${sum.peakActualReplicas}), com utilização de até ${sum.peakUtilization}%
+      ${sum.atMaxSamples > 0 ? ` -- preso em maxReplicas em ${sum.atMaxSamples} de ${sum.samples} amostra(s)` : ''}</div>`;
   }
+
+  return `
+    <div class="drill-bar">Simulador de HPA em <strong>${escapeHtml(data.namespace)}</strong> <button onclick="showNamespaces()">Voltar aos namespaces</button></div>
+    <div class="card simulator">
+      <div class="card-title">E se? Requests e target hipotéticos</div>
+      <div class="metric-note">
+        Reaplica o uso de CPU registrado (${sum.samples} amostra(s)) no cálculo do HPA:
+        réplicas = ceil(atuais × utilização / target), sem mudança dentro da tolerância de ±${Math.round(p.tolerance * 100)}%,
+        limitado a min/max e com janela de estabilização de ${p.downscaleStabilizationSeconds}s para reduzir.
+        ${data.hpa ? `HPA atual: <strong>${escapeHtml(data.hpa.name)}</strong>.` : 'Este namespace não tem HPA; os valores atuais são só ponto de partida.'}
+      </div>
+      <form id="simForm" class="sim-form" onsubmit="event.preventDefault(); runSimulation()">
+        ${field('cpuRequest', 'CPU request por pod', p.cpuRequest, 'm', d.cpuRequest + 'm')}
+        ${field('target', 'Target de utilização', p.targetPercent, '%', d.targetPercent + '%')}
+        ${field('min', 'minReplicas', p.minReplicas, '', d.minReplicas)}
+        ${field('max', 'maxReplicas', p.maxReplicas, '', d.maxReplicas)}
+        <button type="submit" class="rec-toggle">Simular</button>
+      </form>
+      <div class="sim-error" id="simError"></div>
+      ${verdict}
+      ${renderSimulationChart(data)}
+    </div>`;
+}
+
+// Simulated vs recorded replicas over the history, with maxReplicas dashed
+function renderSimulationChart(data) {
+  const series = data.series;
+  if (series.length < 2) return '';
+  const W = 600, H = 160, PAD = 4;
+  const max = Math.max(data.params.maxReplicas, ...series.map(pt => Math.max(pt.replicas, pt.actualReplicas || 0)), 1);
+  const x = (i) => (i / (series.length - 1) * W).toFixed(1);
+  const y = (v) => (H - PAD - v / max * (H - 2 * PAD)).toFixed(1);
+  const line = (key) => series.map((pt, i) => `${x(i)},${y(pt[key] || 0)}`).join(' ');
+  const time = (ts) => new Date(ts).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+
+  return `
+    <div class="legend">
+      <div class="legend-item"><div class="legend-dot usage"></div> Réplicas simuladas</div>
+      <div class="legend-item"><div class="legend-dot request"></div> Réplicas registradas</div>
+      <div class="legend-item"><div class="legend-dot limit"></div> maxReplicas</div>
+    </div>
+    <div class="sim-chart">
+      <svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">
+        <line class="sim-max" x1="0" x2="${W}" y1="${y(data.params.maxReplicas)}" y2="${y(data.params.maxReplicas)}" />
+        <polyline class="sim-actual" points="${line('actualReplicas')}" />
+        <polyline class="sim-simulated" points="${line('replicas')}" />
+      </svg>
+      <div class="sim-axis"><span>${time(series[0].ts)}</span><span>máx. ${max} réplica(s)</span><span>${time(series[series.length - 1].ts)}</span></div>
+    </div>`;
 }
 
 // --- Main render ---
 function renderDashboard(namespaces) {
-  dashboard.innerHTML = namespaces.map(ns => renderNamespacePanel(ns)).join('');
+  if (view !== 'namespaces') return;
+  const drillBar = drillUser
+    ? `<div class="drill-bar">Painéis de <strong>${drillUser}</strong> <button onclick="backToLeaderboard()">Voltar ao ranking</button></div>`
+    : '';
+  dashboard.innerHTML = drillBar + namespaces.map(ns => renderNamespacePanel(ns)).join('');
+}
+
+// 'good' | 'bad' come from the namespace's role label; anything else is neutral
+function nsType(ns) {
+  return ns.role === 'bad' || ns.role === 'good' ? ns.role : 'neutral';
 }
 
 function renderNamespacePanel(ns) {
-  const type = ns.namespace.includes('ruim') ? 'bad' : 'good';
-  const label = type === 'bad' ? 'Práticas Ruins' : 'Boas Práticas';
+  const type = nsType(ns);
+  const label = ns.label;
   const badge = type === 'bad'
     ? '<span class="ns-badge bad">Anti-pattern</span>'
-    : '<span class="ns-badge good">Recomendado</span>';
+    : type === 'good' ? '<span class="ns-badge good">Recomendado</span>' : '';
 
   // Check for OOMKill events
   const oomPods = ns.pods.filter(p => p.lastTerminationReason === 'OOMKilled');
@@ -49,18 +650,57 @@ function renderNamespacePanel(ns) {
         <div class="ns-subtitle">${label} -- ${ns.podCount} pod(s) em execução</div>
       </div>
       ${oomBanner}
+      ${renderSourcesBanner(ns.sources)}
 
       ${renderResourceCard(ns)}
+      ${renderCostCard(ns)}
       ${renderHPACard(ns)}
+      ${renderVPACard(ns)}
       ${renderAntiPatterns(ns)}
+      ${renderRecommendations(ns)}
+      ${renderQuotaCard(ns)}
+      ${renderEventsCard(ns)}
       ${renderPodTable(ns)}
     </div>
   `;
 }
 
+// --- Data sources ---
+// The backend reports each optional source as 'ok', 'unavailable', 'forbidden'
+// or 'not-installed'. Not-installed ones (e.g. no VPA CRD) are normal and hidden.
+const SOURCE_LABELS = {
+  metrics: 'Métricas de uso (metrics-server)',
+  nodeMetrics: 'Métricas dos nodes',
+  hpa: 'HPAs',
+  events: 'Eventos',
+  vpa: 'VPAs',
+  quotas: 'ResourceQuotas',
+  limitRanges: 'LimitRanges',
+  pdbs: 'PodDisruptionBudgets',
+  replicaSets: 'ReplicaSets',
+  deployments: 'Deployments',
+  statefulSets: 'StatefulSets'
+};
+const SOURCE_STATUS_LABELS = { unavailable: 'indisponível', forbidden: 'sem permissão' };
+
+function metricsMissing(sources) {
+  return !!sources && !!sources.metrics && sources.metrics !== 'ok';
+}
+
+function renderSourcesBanner(sources) {
+  const failing = Object.entries(sources || {}).filter(([, status]) => SOURCE_STATUS_LABELS[status]);
+  if (failing.length === 0) return '';
+  const list = failing.map(([name, status]) => `${SOURCE_LABELS[name] || name}: ${SOURCE_STATUS_LABELS[status]}`).join(' · ');
+  const impact = metricsMissing(sources) ? ' -- uso real e desperdício não podem ser calculados' : '';
+  return `<div class="sources-banner"><strong>Dados incompletos:</strong> ${escapeHtml(list)}${impact}</div>`;
+}
+
 // --- Resource bars ---
 function renderResourceCard(ns) {
   const t = ns.totals;
+  const samples = usageHistory[ns.namespace] || [];
+  const noMetrics = metricsMissing(ns.sources);
+  const used = (v, unit) => noMetrics ? 'métricas indisponíveis' : v + unit;
   const maxCPU = Math.max(t.limits.cpu_millicores, t.requests.cpu_millicores, t.usage.cpu_millicores, 1);
   const maxMem = Math.max(t.limits.memory_mib, t.requests.memory_mib, t.usage.memory_mib, 1);
 
@@ -77,40 +717,111 @@ function renderResourceCard(ns) {
       <div class="bar-group">
         <div class="bar-label">
           <span>CPU</span>
-          <strong>${t.usage.cpu_millicores}m / ${t.requests.cpu_millicores}m request / ${t.limits.cpu_millicores}m limit</strong>
+          <strong>${used(t.usage.cpu_millicores, 'm')} / ${t.requests.cpu_millicores}m request / ${t.limits.cpu_millicores}m limit</strong>
         </div>
         <div class="bar-track">
           <div class="bar-fill limit" style="width: ${pct(t.limits.cpu_millicores, maxCPU)}%"></div>
           <div class="bar-fill request" style="width: ${pct(t.requests.cpu_millicores, maxCPU)}%"></div>
-          <div class="bar-fill usage" style="width: ${pct(t.usage.cpu_millicores, maxCPU)}%">
+          ${noMetrics ? '' : `<div class="bar-fill usage" style="width: ${pct(t.usage.cpu_millicores, maxCPU)}%">
             <span class="bar-value">${t.usage.cpu_millicores}m</span>
-          </div>
+          </div>`}
         </div>
+        ${renderSparkline(samples.map(s => s.usage.cpu), 'm', samples.map(s => s.requests.cpu))}
       </div>
 
       <div class="bar-group">
         <div class="bar-label">
           <span>Memória</span>
-          <strong>${t.usage.memory_mib} Mi / ${t.requests.memory_mib} Mi request / ${t.limits.memory_mib} Mi limit</strong>
+          <strong>${used(t.usage.memory_mib, ' Mi')} / ${t.requests.memory_mib} Mi request / ${t.limits.memory_mib} Mi limit</strong>
         </div>
         <div class="bar-track">
           <div class="bar-fill limit" style="width: ${pct(t.limits.memory_mib, maxMem)}%"></div>
           <div class="bar-fill request" style="width: ${pct(t.requests.memory_mib, maxMem)}%"></div>
-          <div class="bar-fill usage" style="width: ${pct(t.usage.memory_mib, maxMem)}%">
+          ${noMetrics ? '' : `<div class="bar-fill usage" style="width: ${pct(t.usage.memory_mib, maxMem)}%">
             <span class="bar-value">${t.usage.memory_mib} Mi</span>
-          </div>
+          </div>`}
         </div>
+        ${renderSparkline(samples.map(s => s.usage.mem), ' Mi', samples.map(s => s.requests.mem))}
       </div>
     </div>
   `;
 }
 
+// --- Cost estimate ---
+function renderCostCard(ns) {
+  const cost = ns.cost;
+  if (!cost) return '';
+  const m = cost.monthly;
+  const money = (v) => v === null ? '--' : formatMoney(v, cost.currency);
+  const p = cost.prices;
+  const priceNote = p.source === 'node'
+    ? `Preço do node${p.nodeType ? ' ' + escapeHtml(p.nodeType) : ''} rateado: ${money(p.cpuHour)}/vCPU-h, ${money(p.gibHour)}/GiB-h`
+    : `${money(p.cpuHour)}/vCPU-h, ${money(p.gibHour)}/GiB-h`;
+
+  // Savings if this (bad) namespace ran its pods with the good namespace's sizing;
+  // skipped when the good one has no cost (older recordings, pricing failed)
+  let savingsLine = '';
+  const good = nsType(ns) === 'bad' && namespaces.find(n => nsType(n) === 'good' && n.podCount > 0);
+  if (good?.cost?.perPodRequested != null && ns.podCount > 0) {
+    const withGoodSizing = good.cost.perPodRequested * ns.podCount;
+    const savings = m.requested - withGoodSizing;
+    if (savings > 0) {
+      savingsLine = `
+        <div class="cost-savings">
+          Com o sizing de <strong>${escapeHtml(good.namespace)}</strong> (${money(good.cost.perPodRequested)}/pod):
+          economia de <strong>${money(savings)}/mês</strong> (${pct(savings, m.requested)}%)
+        </div>`;
+    }
+  }
+
+  const id = `cost-pods-${ns.namespace}`;
+  return `
+    <div class="card">
+      <div class="card-title">Custo Estimado (mensal)</div>
+      <div class="cost-grid">
+        <div class="cost-item">
+          <div class="cost-value">${money(m.requested)}</div>
+          <div class="cost-label">Requests (reservado)</div>
+        </div>
+        <div class="cost-item">
+          <div class="cost-value">${money(m.used)}</div>
+          <div class="cost-label">Uso real</div>
+        </div>
+        <div class="cost-item idle">
+          <div class="cost-value">${money(m.idle)}</div>
+          <div class="cost-label">Ocioso</div>
+        </div>
+      </div>
+      ${savingsLine}
+      <div class="metric-note">${priceNote} -- ${cost.hoursPerMonth} h/mês</div>
+      ${cost.pods.length > 0 ? `
+        <button class="rec-toggle" onclick="toggleSection('${id}')">${openSections.has(id) ? 'Ocultar' : 'Ver'} custo por pod</button>
+        <div class="rec-patch ${openSections.has(id) ? 'open' : ''}">
+          <table class="pod-table">
+            <thead><tr><th>Pod</th><th>Requests</th><th>Uso real</th></tr></thead>
+            <tbody>
+              ${cost.pods.map(c => `<tr><td>${c.name}</td><td>${money(c.requested)}</td><td>${money(c.used)}</td></tr>`).join('')}
+            </tbody>
+          </table>
+        </div>` : ''}
+    </div>`;
+}
+
+function formatMoney(value, currency) {
+  try {
+    return value.toLocaleString('pt-BR', { style: 'currency', currency, maximumFractionDigits: value < 1 ? 4 : 2 });
+  } catch (e) {
+    return `${currency} ${value.toFixed(2)}`;
+  }
+}
+
 // --- HPA ---
 function renderHPACard(ns) {
   if (!ns.hpa || ns.hpa.length === 0) {
     return `<div class="card">
       <div class="card-title">HPA (Horizontal Pod Autoscaler)</div>
       <div class="hpa-status-bar unknown">Nenhum HPA configurado</div>
+      <button class="rec-toggle" onclick='openSimulator(${JSON.stringify(ns.namespace)})'>Simular um HPA</button>
     </div>`;
   }
 
@@ -130,9 +841,18 @@ function renderHPACard(ns) {
     statusMsg = `CPU em ${cpuPct}% - próximo do threshold`;
   }
 
+  const ref = h.scaleTargetRef || {};
+  const target = (ns.workloads || []).find(w => w.kind === ref.kind && w.name === ref.name);
+  const targetLine = !ref.name ? '' : target
+    ? `<div class="metric-note">Escala <strong>${ref.kind}/${escapeHtml(ref.name)}</strong> -- ${target.replicas.ready}/${target.replicas.desired} réplica(s) pronta(s), ${target.pods.length} pod(s)</div>`
+    : h.targetFound === false
+      ? `<div class="alert-box warning"><div class="alert-item"><strong>Alvo não encontrado:</strong> ${ref.kind}/${escapeHtml(ref.name)} não existe neste namespace</div></div>`
+      : '';
+
   return `
     <div class="card">
       <div class="card-title">HPA (Horizontal Pod Autoscaler)</div>
+      ${targetLine}
       <div class="hpa-grid">
         <div class="hpa-stat">
           <div class="hpa-stat-value">${h.currentReplicas}</div>
@@ -153,85 +873,312 @@ function renderHPACard(ns) {
         </div>
         <div class="hpa-status-bar ${statusClass}">${statusMsg}</div>
       </div>
+      <div class="spark-title">Replicas (última hora)</div>
+      ${renderSparkline((usageHistory[ns.namespace] || []).map(s => s.replicas), '')}
+      <button class="rec-toggle" onclick='openSimulator(${JSON.stringify(ns.namespace)})'>Simular outros requests / target</button>
     </div>
   `;
 }
 
+// --- VPA ---
+function renderVPACard(ns) {
+  if (!ns.vpa || ns.vpa.length === 0) return '';
+
+  const fmt = (r, key, unit) => r ? r[key] + unit : '--';
+  const rows = (c, key, unit, label) => `
+    <tr>
+      <td>${label}</td>
+      <td>${fmt(c.current, key, unit)}</td>
+      <td class="vpa-target">${fmt(c.target, key, unit)}</td>
+      <td>${fmt(c.lowerBound, key, unit)} - ${fmt(c.upperBound, key, unit)}</td>
+      <td>${fmt(c.uncappedTarget, key, unit)}</td>
+    </tr>`;
+
+  const body = ns.vpa.map(v => {
+    const header = `<div class="rec-workload">${v.name} <span class="rec-pods">${v.targetRef.kind}/${v.targetRef.name} -- updateMode: ${v.updateMode}</span></div>`;
+    if (v.containers.length === 0) {
+      return `${header}<div class="hpa-status-bar unknown">Aguardando recomendação do VPA...</div>`;
+    }
+    return header + v.containers.map(c => `
+      <div class="vpa-container">container: <strong>${c.name}</strong></div>
+      <table class="pod-table">
+        <thead><tr><th>Recurso</th><th>Request atual</th><th>Target</th><th>Faixa (lower - upper)</th><th>Uncapped</th></tr></thead>
+        <tbody>
+          ${rows(c, 'cpu_millicores', 'm', 'CPU')}
+          ${rows(c, 'memory_mib', ' Mi', 'Memória')}
+        </tbody>
+      </table>`).join('');
+  }).join('');
+
+  return `
+    <div class="card">
+      <div class="card-title">VPA (Vertical Pod Autoscaler)</div>
+      ${body}
+    </div>`;
+}
+
 // --- Anti-patterns ---
+const SEVERITY_LABELS = { critical: 'Crítico', warning: 'Atenção', info: 'Info' };
+
 function renderAntiPatterns(ns) {
-  const ap = ns.antiPatterns;
-  const type = ns.namespace.includes('ruim') ? 'bad' : 'good';
+  const findings = ns.findings || [];
+  const type = nsType(ns);
+  const noMetrics = metricsMissing(ns.sources);
+  const isIdle = noMetrics || ns.totals.usage.cpu_millicores <= 1;
+  const idleLine = noMetrics
+    ? '<div class="alert-item"><strong>Desperdício:</strong> métricas indisponíveis -- não é possível calcular</div>'
+    : isIdle
+      ? '<div class="alert-item"><strong>Desperdício:</strong> aplicação ociosa -- aguardando carga para calcular</div>'
+      : '';
+
+  const problems = findings.filter(f => f.severity !== 'info');
+  const notes = findings.filter(f => f.severity === 'info');
+
+  const renderFinding = (f) => `
+    <div class="alert-item finding">
+      <span class="finding-severity ${f.severity}">${SEVERITY_LABELS[f.severity] || f.severity}</span>
+      <strong>${escapeHtml(f.message)}</strong>
+      <div class="finding-remediation">${escapeHtml(f.remediation)}</div>
+    </div>`;
+
+  const summary = problems.length === 0
+    ? `<div class="alert-box success">
+        <div class="alert-item"><strong>Nenhum anti-pattern crítico ou de atenção</strong> -- requests, limits e HPA coerentes com o uso</div>
+        ${isIdle ? idleLine : `<div class="alert-item"><strong>Desperdício de CPU:</strong> ${ns.antiPatterns.cpuWastePercent}%</div>`}
+      </div>`
+    : `<div class="alert-box warning">
+        ${problems.map(renderFinding).join('')}
+        ${idleLine}
+      </div>`;
+
+  const id = `findings-info-${ns.namespace}`;
+  const infoBlock = notes.length === 0 ? '' : `
+    <button class="rec-toggle" onclick="toggleSection('${id}')">${openSections.has(id) ? 'Ocultar' : 'Ver'} ${notes.length} sugestão(ões)</button>
+    <div class="finding-notes alert-box info ${openSections.has(id) ? 'open' : ''}">
+      ${notes.map(renderFinding).join('')}
+    </div>`;
+
+  return `
+    <div class="card">
+      <div class="card-title">${type === 'bad' || problems.length > 0 ? 'Anti-patterns Detectados' : 'Análise de Configuração'}</div>
+      ${summary}
+      <div class="finding-actions">${infoBlock}</div>
+    </div>`;
+}
+
+// --- Suggested resources (rightsizing) ---
+function renderRecommendations(ns) {
+  const recs = ns.recommendations || [];
+  if (recs.length === 0) return '';
+
+  const body = recs.map(r => {
+    const title = `<div class="rec-workload">${r.workload.kind}/${r.workload.name} <span class="rec-pods">${r.pods} pod(s)</span></div>`;
+    if (r.status !== 'ok') {
+      return `${title}<div class="rec-note">Coletando histórico de uso (${r.samples} amostra(s))...</div>`;
+    }
+
+    const c = r.current;
+    const n = r.recommended;
+    const row = (label, cur, rec, unit) => `
+      <tr>
+        <td>${label}</td>
+        <td>${cur ? cur + unit : '<em>não definido</em>'}</td>
+        <td class="${rec < cur ? 'rec-lower' : rec > cur ? 'rec-higher' : ''}">${rec}${unit}</td>
+      </tr>`;
+    const id = `rec-${ns.namespace}-${r.workload.name}`;
+
+    return `
+      ${title}
+      <table class="pod-table rec-table">
+        <thead><tr><th>Recurso</th><th>Atual</th><th>Sugerido</th></tr></thead>
+        <tbody>
+          ${row('CPU request', c.requests.cpu_millicores, n.requests.cpu_millicores, 'm')}
+          ${row('CPU limit', c.limits.cpu_millicores, n.limits.cpu_millicores, 'm')}
+          ${row('Mem request', c.requests.memory_mib, n.requests.memory_mib, ' Mi')}
+          ${row('Mem limit', c.limits.memory_mib, n.limits.memory_mib, ' Mi')}
+        </tbody>
+      </table>
+      <div class="rec-note">
+        Base: p${r.basis.cpuPercentile} de CPU = ${r.basis.cpuObserved}m, pico de memória = ${r.basis.memMaxObserved} Mi
+        (${r.samples} amostras) + ${Math.round(r.basis.headroom * 100)}% de folga
+      </div>
+      ${r.patch ? `
+        <button class="rec-toggle" onclick="toggleSection('${id}')">${openSections.has(id) ? 'Ocultar' : 'Ver'} patch YAML</button>
+        <div class="rec-patch ${openSections.has(id) ? 'open' : ''}">
+          <pre>${r.patch.yaml}</pre>
+          <code>${r.patch.command}</code>
+        </div>` : r.patchNote ? `<div class="rec-note">${r.patchNote}</div>` : ''}
+    `;
+  }).join('');
+
+  return `
+    <div class="card">
+      <div class="card-title">Sugestão de Resources</div>
+      ${body}
+    </div>`;
+}
+
+// --- ResourceQuota / LimitRange ---
+function formatQuantity(value, unit) {
+  if (unit === 'millicores') return value + 'm';
+  if (unit === 'mib') return value + ' Mi';
+  return String(value);
+}
+
+function formatResources(r) {
+  if (!r) return '--';
+  const cpu = r.cpu_millicores !== null ? r.cpu_millicores + 'm' : '--';
+  const mem = r.memory_mib !== null ? r.memory_mib + ' Mi' : '--';
+  return `${cpu} / ${mem}`;
+}
+
+function renderQuotaCard(ns) {
+  const quotas = ns.quotas || [];
+  const limitRanges = ns.limitRanges || [];
+  if (quotas.length === 0 && limitRanges.length === 0) return '';
+
+  const quotaHtml = quotas.map(q => `
+    <div class="rec-workload">ResourceQuota ${q.name}</div>
+    ${q.resources.map(r => `
+      <div class="bar-group">
+        <div class="bar-label">
+          <span>${r.resource}</span>
+          <strong>${formatQuantity(r.used, r.unit)} / ${formatQuantity(r.hard, r.unit)}${r.percent !== null ? ` (${r.percent}%)` : ''}</strong>
+        </div>
+        <div class="bar-track quota-track">
+          <div class="bar-fill usage ${r.percent >= 90 ? 'quota-full' : ''}" style="width: ${pct(r.used, r.hard)}%"></div>
+        </div>
+      </div>`).join('')}
+  `).join('');
 
-  const isIdle = ns.totals.usage.cpu_millicores <= 1;
+  const lrHtml = limitRanges.map(lr => `
+    <div class="rec-workload">LimitRange ${lr.name}</div>
+    <table class="pod-table">
+      <thead><tr><th>Tipo</th><th>Default request</th><th>Default limit</th><th>Min</th><th>Max</th></tr></thead>
+      <tbody>
+        ${lr.limits.map(l => `
+          <tr>
+            <td>${l.type}</td>
+            <td>${formatResources(l.defaultRequest)}</td>
+            <td>${formatResources(l.default)}</td>
+            <td>${formatResources(l.min)}</td>
+            <td>${formatResources(l.max)}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+  `).join('');
+
+  const defaulted = ns.pods.filter(p => p.limitRangeDefaults && p.limitRangeDefaults.length > 0);
+  const defaultedNote = defaulted.length > 0
+    ? `<div class="alert-box warning quota-note"><div class="alert-item"><strong>${defaulted.length} pod(s)</strong> com requests/limits preenchidos pelo LimitRange -- o deployment não define esses valores explicitamente</div></div>`
+    : '';
+
+  return `
+    <div class="card">
+      <div class="card-title">Quota e LimitRange</div>
+      ${quotaHtml}
+      ${lrHtml}
+      ${defaultedNote}
+    </div>`;
+}
+
+function renderLimitRangeBadge(p) {
+  if (!p.limitRangeDefaults || p.limitRangeDefaults.length === 0) return '';
+  const detail = p.limitRangeDefaults.map(d => {
+    const parts = [];
+    if (d.requests.length) parts.push(`request de ${d.requests.join(', ')}`);
+    if (d.limits.length) parts.push(`limit de ${d.limits.join(', ')}`);
+    return `${d.container}: ${parts.join('; ')}`;
+  }).join(' | ');
+  return ` <span class="termination-badge lr-badge" title="Definido pelo LimitRange -- ${detail}">LimitRange</span>`;
+}
+
+// --- Events timeline ---
+function formatAgo(iso) {
+  const sec = Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 1000));
+  if (sec < 60) return sec + 's';
+  if (sec < 3600) return Math.floor(sec / 60) + 'min';
+  return Math.floor(sec / 3600) + 'h';
+}
+
+function escapeHtml(str) {
+  return String(str || '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
 
-  if (type === 'good') {
-    const cpuLine = isIdle
-      ? '<div class="alert-item"><strong>Desperdício de CPU:</strong> aplicação ociosa -- aguardando carga para calcular</div>'
-      : `<div class="alert-item"><strong>Desperdício de CPU:</strong> ${ap.cpuWastePercent}%</div>`;
+function renderEventsCard(ns) {
+  const events = ns.events || [];
+  if (events.length === 0) return '';
 
+  const items = events.map(e => {
+    const cls = e.type === 'Warning' ? 'warning' : e.reason === 'SuccessfulRescale' ? 'scale' : '';
     return `
-      <div class="card">
-        <div class="card-title">Análise de Configuração</div>
-        <div class="alert-box success">
-          <div class="alert-item"><strong>Requests menores que limits</strong> -- permite burst e reaproveitamento de recursos</div>
-          ${cpuLine}
-          <div class="alert-item"><strong>HPA funcional</strong> -- o threshold sera atingido com carga real</div>
+      <div class="event-item ${cls}">
+        <div class="event-time">${formatAgo(e.lastSeen)}</div>
+        <div class="event-body">
+          <div class="event-head">
+            <span class="event-reason">${escapeHtml(e.reason)}</span>
+            <span class="event-object">${escapeHtml(e.object)}</span>
+            ${e.count > 1 ? `<span class="event-count">x${e.count}</span>` : ''}
+          </div>
+          <div class="event-message">${escapeHtml(e.message)}</div>
         </div>
       </div>`;
-  }
+  }).join('');
 
-  const alerts = [];
-  if (ap.requestsEqualsLimits) {
-    alerts.push('<strong>Requests = Limits (QoS Guaranteed)</strong> -- o Kubernetes não pode realocar recursos ociosos');
-  }
-  if (isIdle) {
-    alerts.push('<strong>Desperdício de CPU:</strong> aplicação ociosa -- aguardando carga para calcular');
-    alerts.push('<strong>Desperdício de Memória:</strong> aplicação ociosa -- aguardando carga para calcular');
-  } else {
-    alerts.push(`<strong>Desperdício de CPU:</strong> ${ap.cpuWastePercent}% dos requests não são utilizados`);
-    alerts.push(`<strong>Desperdício de Memória:</strong> ${ap.memWastePercent}% dos requests não são utilizados`);
-  }
-  if (ap.cpuWastePercent > 80) {
-    alerts.push('<strong>HPA travado</strong> -- com requests tão altos, a % de uso nunca atinge o threshold');
-  }
+  const warnings = events.filter(e => e.type === 'Warning').length;
 
   return `
     <div class="card">
-      <div class="card-title">Anti-patterns Detectados</div>
-      <div class="alert-box warning">
-        ${alerts.map(a => `<div class="alert-item">${a}</div>`).join('')}
-      </div>
+      <div class="card-title">Eventos recentes${warnings ? ` -- ${warnings} warning(s)` : ''}</div>
+      <div class="event-timeline">${items}</div>
     </div>`;
 }
 
 // --- Pod table ---
 function renderPodTable(ns) {
   if (!ns.pods || ns.pods.length === 0) return '';
+  const noMetrics = metricsMissing(ns.sources);
+  const used = (v, unit) => noMetrics ? '<em class="unset">--</em>' : v + unit;
 
-  const rows = ns.pods.map(p => {
+  const renderPod = (p) => {
     const restartClass = p.restartCount > 0 ? 'restart-warn' : '';
     const reasonBadge = p.lastTerminationReason
       ? `<span class="termination-badge ${p.lastTerminationReason === 'OOMKilled' ? 'oomkill' : ''}">${p.lastTerminationReason}</span>`
       : '--';
 
+    const id = `pod-${ns.namespace}-${p.name}`;
+    const open = openSections.has(id);
+    const containers = [...(p.initContainers || []).map(c => ({ ...c, init: true })), ...(p.containers || [])];
+
     return `
-      <tr class="${restartClass}">
-        <td class="pod-name" title="${p.name}">${p.name}</td>
-        <td>${p.usage.cpu_millicores}m</td>
+      <tr class="${restartClass} pod-row" onclick="toggleSection('${id}')">
+        <td class="pod-name" title="${p.name}"><span class="pod-caret">${open ? '▾' : '▸'}</span>${p.name}${renderLimitRangeBadge(p)}</td>
+        <td>${used(p.usage.cpu_millicores, 'm')}</td>
         <td>${p.requests.cpu_millicores}m</td>
         <td>${p.limits.cpu_millicores}m</td>
-        <td>${p.usage.memory_mib} Mi</td>
+        <td>${used(p.usage.memory_mib, ' Mi')}</td>
         <td>${p.requests.memory_mib} Mi</td>
         <td>${p.limits.memory_mib} Mi</td>
         <td class="${restartClass}">${p.restartCount}</td>
         <td>${reasonBadge}</td>
       </tr>
+      ${open ? containers.map(c => renderContainerRow(c)).join('') : ''}
     `;
-  }).join('');
+  };
+
+  // Recordings made before workloads existed only have the flat pod list
+  const rows = ns.workloads
+    ? ns.workloads.map(w => renderWorkloadRow(ns, w, used) +
+        (collapsedWorkloads.has(`${ns.namespace}/${w.kind}/${w.name}`)
+          ? ''
+          : w.pods.map(name => ns.pods.find(p => p.name === name)).filter(Boolean).map(renderPod).join('')))
+      .join('')
+    : ns.pods.map(renderPod).join('');
 
   return `
     <div class="card">
-      <div class="card-title">Pods</div>
+      <div class="card-title">${ns.workloads ? 'Workloads e Pods' : 'Pods'}</div>
+      <div class="metric-note">Clique em um workload para recolher seus pods, e em um pod para ver cada container (incluindo init containers e sidecars).</div>
       <table class="pod-table">
         <thead>
           <tr>
@@ -252,13 +1199,112 @@ function renderPodTable(ns) {
   `;
 }
 
+// Workload groups start expanded; this holds the ones the user collapsed
+const collapsedWorkloads = new Set();
+
+function toggleWorkload(id) {
+  if (collapsedWorkloads.has(id)) collapsedWorkloads.delete(id);
+  else collapsedWorkloads.add(id);
+  renderDashboard(namespaces);
+}
+
+const ROLLOUT_LABELS = { complete: 'Rollout ok', progressing: 'Em rollout', paused: 'Pausado', failed: 'Rollout falhou' };
+
+// Group header: totals of the workload's pods, replica counts and rollout status
+function renderWorkloadRow(ns, w, used) {
+  const id = `${ns.namespace}/${w.kind}/${w.name}`;
+  const collapsed = collapsedWorkloads.has(id);
+  const r = w.replicas;
+  const restarts = w.pods.reduce((acc, name) => acc + (ns.pods.find(p => p.name === name)?.restartCount || 0), 0);
+  const rollout = w.rollout
+    ? `<span class="rollout-badge ${w.rollout.status}" title="${escapeHtml(w.rollout.message)}">${ROLLOUT_LABELS[w.rollout.status] || w.rollout.status}</span>`
+    : '--';
+
+  return `
+    <tr class="workload-row" onclick='toggleWorkload(${JSON.stringify(id)})'>
+      <td class="pod-name" title="${escapeHtml(w.rollout ? w.rollout.message : '')}">
+        <span class="pod-caret">${collapsed ? '▸' : '▾'}</span><span class="container-tag">${w.kind}</span>${escapeHtml(w.name)}
+        <span class="workload-replicas">${r.ready}/${r.desired} pronto(s)</span>
+        ${w.hpa ? `<span class="qos-badge">HPA ${escapeHtml(w.hpa)}</span>` : ''}
+      </td>
+      <td>${used(w.usage.cpu_millicores, 'm')}</td>
+      <td>${w.requests.cpu_millicores}m</td>
+      <td>${w.limits.cpu_millicores}m</td>
+      <td>${used(w.usage.memory_mib, ' Mi')}</td>
+      <td>${w.requests.memory_mib} Mi</td>
+      <td>${w.limits.memory_mib} Mi</td>
+      <td class="${restarts > 0 ? 'restart-warn' : ''}">${restarts}</td>
+      <td>${rollout}</td>
+    </tr>`;
+}
+
+// One container inside an expanded pod row. Unset requests/limits are null
+// (shown as "--"), unlike the pod totals where they count as 0.
+function renderContainerRow(c) {
+  const value = (v, unit) => v === null || v === undefined ? '<em class="unset">--</em>' : v + unit;
+  const restartClass = c.restartCount > 0 ? 'restart-warn' : '';
+  const reason = c.lastTerminationReason || c.stateReason;
+  const reasonBadge = reason
+    ? `<span class="termination-badge ${reason === 'OOMKilled' ? 'oomkill' : ''}">${reason}</span>`
+    : '--';
+
+  return `
+    <tr class="container-row">
+      <td class="pod-name" title="${c.image || ''}">
+        ${c.init ? '<span class="container-tag">init</span>' : ''}${c.name}
+        <span class="qos-badge ${c.qos.toLowerCase()}">${c.qos}</span>
+      </td>
+      <td>${c.usage ? c.usage.cpu_millicores + 'm' : '--'}</td>
+      <td>${value(c.requests.cpu_millicores, 'm')}</td>
+      <td>${value(c.limits.cpu_millicores, 'm')}</td>
+      <td>${c.usage ? c.usage.memory_mib + ' Mi' : '--'}</td>
+      <td>${value(c.requests.memory_mib, ' Mi')}</td>
+      <td>${value(c.limits.memory_mib, ' Mi')}</td>
+      <td class="${restartClass}">${c.restartCount}</td>
+      <td>${reasonBadge}</td>
+    </tr>`;
+}
+
+// --- Sparkline (inline SVG) ---
+// Draws the series as a line; an optional reference series (e.g. requests)
+// is drawn dashed on the same scale.
+function renderSparkline(values, unit, reference) {
+  if (values.length < 2) {
+    return '<div class="sparkline empty">Coletando histórico...</div>';
+  }
+  const W = 300, H = 36;
+  const max = Math.max(...values, ...(reference || []), 1);
+  const points = (series) => series.map((v, i) =>
+    `${(i / (series.length - 1) * W).toFixed(1)},${(H - 2 - (v / max) * (H - 4)).toFixed(1)}`
+  ).join(' ');
+  const peak = Math.max(...values);
+
+  return `
+    <div class="sparkline">
+      <svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">
+        ${reference ? `<polyline class="spark-ref" points="${points(reference)}" />` : ''}
+        <polyline class="spark-line" points="${points(values)}" />
+      </svg>
+      <span class="spark-peak">pico ${peak}${unit}</span>
+    </div>`;
+}
+
 // --- Utils ---
+// Expanded/collapsed state survives re-renders triggered by live updates
+const openSections = new Set();
+
+function toggleSection(id) {
+  if (openSections.has(id)) openSections.delete(id);
+  else openSections.add(id);
+  renderDashboard(namespaces);
+}
+
 function pct(value, max) {
   if (max <= 0) return 0;
   return Math.min(Math.round((value / max) * 100), 100);
 }
 
-// --- Countdown + Refresh ---
+// --- Countdown + Refresh (fallback) ---
 const countdownEl = document.getElementById('countdown');
 const REFRESH_SECONDS = REFRESH_INTERVAL / 1000;
 let remaining = REFRESH_SECONDS;
@@ -268,16 +1314,24 @@ function startCountdown() {
   if (countdownEl) countdownEl.textContent = remaining;
 }
 
-setInterval(() => {
-  remaining--;
-  if (remaining < 0) remaining = REFRESH_SECONDS;
-  if (countdownEl) countdownEl.textContent = remaining;
-}, 1000);
-
-// --- Init ---
-fetchAndRender();
-startCountdown();
-setInterval(() => {
+function startPolling() {
   fetchAndRender();
   startCountdown();
-}, REFRESH_INTERVAL);
+  setInterval(() => {
+    remaining--;
+    if (remaining < 0) remaining = REFRESH_SECONDS;
+    if (countdownEl) countdownEl.textContent = remaining;
+  }, 1000);
+  setInterval(() => {
+    fetchAndRender();
+    startCountdown();
+  }, REFRESH_INTERVAL);
+}
+
+// --- Init ---
+if (window.EventSource) {
+  fetchReplayState();
+  connectStream();
+} else {
+  startPolling();
+}
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- cgroup telemetry ---
+// Reads the container's own cgroup, v1 or v2, so CPU throttling and OOM kills
+// are visible from inside the pod:
+//
+//   v2  cpu.max, cpu.stat, memory.current, memory.max, memory.events, memory.stat
+//   v1  cpu/cpu.cfs_quota_us, cpu/cpu.cfs_period_us, cpu/cpu.stat, cpuacct/cpuacct.usage,
+//       memory/memory.usage_in_bytes, memory/memory.limit_in_bytes, memory/memory.failcnt,
+//       memory/memory.oom_control, memory/memory.stat
+//
+// Both layouts are normalized to the same shape (microseconds and bytes; null
+// when a file is missing or there is no limit). Counters are sampled every
+// `sampleMs`, so rates cover a steady window instead of the gap between two polls.
+// `root` can point at a fake directory laid out like either version.
+// Shared by stress-app and workload-simulator, which are built with apps/ as
+// the context so their images can copy it (see their Dockerfiles).
+
+// v1 reports "no limit" as a huge page-aligned number
+const V1_UNLIMITED = 2 ** 62;
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+function readNumber(file) {
+  const text = readText(file);
+  if (text === null || text === 'max') return null;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "key value" lines (cpu.stat, memory.stat, memory.events, memory.oom_control)
+function readKeyed(file) {
+  const text = readText(file);
+  if (text === null) return null;
+  const out = {};
+  for (const line of text.split('\n')) {
+    const [key, value] = line.trim().split(/\s+/);
+    if (key && value !== undefined && Number.isFinite(Number(value))) out[key] = Number(value);
+  }
+  return out;
+}
+
+// Usage minus inactive page cache, as the kubelet counts it
+function workingSet(usage, inactiveFile) {
+  return usage === null ? null : Math.max(0, usage - (inactiveFile || 0));
+}
+
+function detectVersion(root) {
+  if (fs.existsSync(path.join(root, 'cgroup.controllers'))) return 2;
+  if (fs.existsSync(path.join(root, 'memory')) || fs.existsSync(path.join(root, 'cpu'))) return 1;
+  return null;
+}
+
+function readV2(root) {
+  const file = (name) => path.join(root, name);
+  const [quota, period] = (readText(file('cpu.max')) || '').split(/\s+/);
+  const cpuStat = readKeyed(file('cpu.stat')) || {};
+  const memStat = readKeyed(file('memory.stat'));
+  const events = readKeyed(file('memory.events')) || {};
+  const usage = readNumber(file('memory.current'));
+  return {
+    cpu: {
+      limitMillicores: quota && quota !== 'max' ? Math.round(Number(quota) / Number(period) * 1000) : null,
+      periodUs: period ? Number(period) : null,
+      usageUsec: cpuStat.usage_usec ?? null,
+      nrPeriods: cpuStat.nr_periods ?? null,
+      nrThrottled: cpuStat.nr_throttled ?? null,
+      throttledUsec: cpuStat.throttled_usec ?? null
+    },
+    memory: {
+      usageBytes: usage,
+      limitBytes: readNumber(file('memory.max')),
+      workingSetBytes: workingSet(usage, memStat?.inactive_file),
+      // max = times the limit was hit; v2 counts OOM events and OOM kills separately
+      events: { max: events.max ?? null, oom: events.oom ?? null, oomKill: events.oom_kill ?? null },
+      stat: memStat && {
+        anonBytes: memStat.anon ?? null,
+        fileBytes: memStat.file ?? null,
+        activeFileBytes: memStat.active_file ?? null,
+        inactiveFileBytes: memStat.inactive_file ?? null,
+        shmemBytes: memStat.shmem ?? null
+      }
+    }
+  };
+}
+
+function readV1(root) {
+  const cpu = (name) => path.join(root, 'cpu', name);
+  const mem = (name) => path.join(root, 'memory', name);
+  const quota = readNumber(cpu('cpu.cfs_quota_us')); // -1 = no limit
+  const period = readNumber(cpu('cpu.cfs_period_us'));
+  const cpuStat = readKeyed(cpu('cpu.stat')) || {};
+  const usageNs = readNumber(path.join(root, 'cpuacct', 'cpuacct.usage'));
+  const memStat = readKeyed(mem('memory.stat'));
+  const oomControl = readKeyed(mem('memory.oom_control')) || {};
+  const usage = readNumber(mem('memory.usage_in_bytes'));
+  const limit = readNumber(mem('memory.limit_in_bytes'));
+  return {
+    cpu: {
+      limitMillicores: quota > 0 && period ? Math.round(quota / period * 1000) : null,
+      periodUs: period,
+      usageUsec: usageNs !== null ? Math.round(usageNs / 1000) : null,
+      nrPeriods: cpuStat.nr_periods ?? null,
+      nrThrottled: cpuStat.nr_throttled ?? null,
+      throttledUsec: cpuStat.throttled_time !== undefined ? Math.round(cpuStat.throttled_time / 1000) : null
+    },
+    memory: {
+      usageBytes: usage,
+      limitBytes: limit !== null && limit < V1_UNLIMITED ? limit : null,
+      workingSetBytes: workingSet(usage, memStat?.total_inactive_file),
+      // v1 has no OOM event counter; oom_kill needs kernel 4.13+
+      events: { max: readNumber(mem('memory.failcnt')), oom: null, oomKill: oomControl.oom_kill ?? null },
+      stat: memStat && {
+        anonBytes: memStat.total_rss ?? null,
+        fileBytes: memStat.total_cache ?? null,
+        activeFileBytes: memStat.total_active_file ?? null,
+        inactiveFileBytes: memStat.total_inactive_file ?? null,
+        shmemBytes: memStat.total_shmem ?? null
+      }
+    }
+  };
+}
+
+function createCgroupTelemetry({ root = '/sys/fs/cgroup', sampleMs = 5000 } = {}) {
+  const version = detectVersion(root);
+  let last = null; // { at, cpu }
+  let rates = { windowSeconds: null, cpuMillicores: null, throttledPercent: null, throttledMsPerSecond: null };
+
+  // Current values, read fresh; null without a cgroup
+  function read() {
+    if (version === 2) return readV2(root);
+    if (version === 1) return readV1(root);
+    return null;
+  }
+
+  function sample() {
+    const reading = read();
+    if (!reading) return;
+    const at = Date.now();
+    if (last) {
+      const seconds = (at - last.at) / 1000;
+      const delta = (key) => reading.cpu[key] !== null && last.cpu[key] !== null ? reading.cpu[key] - last.cpu[key] : null;
+      const usage = delta('usageUsec');
+      const periods = delta('nrPeriods');
+      const throttledUsec = delta('throttledUsec');
+      rates = {
+        windowSeconds: +seconds.toFixed(1),
+        cpuMillicores: usage !== null ? Math.round(usage / 1000 / seconds) : null,
+        // Share of CFS periods in which the container ran out of quota
+        throttledPercent: periods ? Math.round(delta('nrThrottled') / periods * 100) : periods === 0 ? 0 : null,
+        throttledMsPerSecond: throttledUsec !== null ? Math.round(throttledUsec / 1000 / seconds) : null
+      };
+    }
+    last = { at, cpu: reading.cpu };
+  }
+
+  function snapshot() {
+    return { available: version !== null, version, root, ...read(), rates };
+  }
+
+  if (version) {
+    sample();
+    setInterval(sample, sampleMs).unref();
+  }
+
+  return { version, read, snapshot };
+}
+
+module.exports = { V1_UNLIMITED, detectVersion, readV1, readV2, createCgroupTelemetry };
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { V1_UNLIMITED, detectVersion, readV1, readV2, createCgroupTelemetry } = require('./cgroup-telemetry');
+
+const MIB = 1024 * 1024;
+const roots = [];
+
+// A throwaway directory laid out like a cgroup; `files` maps relative paths to contents
+function fakeCgroup(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cgroup-'));
+  roots.push(root);
+  writeFiles(root, files);
+  return root;
+}
+
+function writeFiles(root, files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), content);
+  }
+}
+
+test.after(() => {
+  for (const root of roots) fs.rmSync(root, { recursive: true, force: true });
+});
+
+const V2_FILES = {
+  'cgroup.controllers': 'cpu memory pids\n',
+  'cpu.max': '50000 100000\n',
+  'cpu.stat': 'usage_usec 2000000\nuser_usec 1500000\nsystem_usec 500000\nnr_periods 40\nnr_throttled 10\nthrottled_usec 300000\n',
+  'memory.current': `${300 * MIB}\n`,
+  'memory.max': `${512 * MIB}\n`,
+  'memory.events': 'low 0\nhigh 0\nmax 7\noom 2\noom_kill 1\n',
+  'memory.stat': `anon ${200 * MIB}\nfile ${100 * MIB}\nactive_file ${40 * MIB}\ninactive_file ${60 * MIB}\nshmem 0\n`
+};
+
+const V1_FILES = {
+  'cpu/cpu.cfs_quota_us': '25000\n',
+  'cpu/cpu.cfs_period_us': '100000\n',
+  'cpu/cpu.stat': 'nr_periods 20\nnr_throttled 5\nthrottled_time 400000000\n',
+  'cpuacct/cpuacct.usage': '3000000000\n',
+  'memory/memory.usage_in_bytes': `${300 * MIB}\n`,
+  'memory/memory.limit_in_bytes': `${256 * MIB}\n`,
+  'memory/memory.failcnt': '4\n',
+  'memory/memory.oom_control': 'oom_kill_disable 0\nunder_oom 0\noom_kill 3\n',
+  'memory/memory.stat': `total_rss ${180 * MIB}\ntotal_cache ${120 * MIB}\ntotal_active_file ${70 * MIB}\ntotal_inactive_file ${50 * MIB}\ntotal_shmem 0\n`
+};
+
+test('detectVersion tells v2 from v1 and from no cgroup', () => {
+  assert.equal(detectVersion(fakeCgroup(V2_FILES)), 2);
+  assert.equal(detectVersion(fakeCgroup(V1_FILES)), 1);
+  assert.equal(detectVersion(fakeCgroup({})), null);
+});
+
+test('readV2 reads limits, throttling and OOM counters', () => {
+  assert.deepEqual(readV2(fakeCgroup(V2_FILES)), {
+    cpu: {
+      limitMillicores: 500,
+      periodUs: 100000,
+      usageUsec: 2000000,
+      nrPeriods: 40,
+      nrThrottled: 10,
+      throttledUsec: 300000
+    },
+    memory: {
+      usageBytes: 300 * MIB,
+      limitBytes: 512 * MIB,
+      workingSetBytes: 240 * MIB,
+      events: { max: 7, oom: 2, oomKill: 1 },
+      stat: {
+        anonBytes: 200 * MIB,
+        fileBytes: 100 * MIB,
+        activeFileBytes: 40 * MIB,
+        inactiveFileBytes: 60 * MIB,
+        shmemBytes: 0
+      }
+    }
+  });
+});
+
+test('readV2 reports "max" as no limit', () => {
+  const reading = readV2(fakeCgroup({ ...V2_FILES, 'cpu.max': 'max 100000\n', 'memory.max': 'max\n' }));
+  assert.equal(reading.cpu.limitMillicores, null);
+  assert.equal(reading.cpu.periodUs, 100000);
+  assert.equal(reading.memory.limitBytes, null);
+});
+
+test('readV1 converts nanoseconds and reads limits and OOM counters', () => {
+  assert.deepEqual(readV1(fakeCgroup(V1_FILES)), {
+    cpu: {
+      limitMillicores: 250,
+      periodUs: 100000,
+      usageUsec: 3000000,
+      nrPeriods: 20,
+      nrThrottled: 5,
+      throttledUsec: 400000
+    },
+    memory: {
+      usageBytes: 300 * MIB,
+      limitBytes: 256 * MIB,
+      workingSetBytes: 250 * MIB,
+      events: { max: 4, oom: null, oomKill: 3 },
+      stat: {
+        anonBytes: 180 * MIB,
+        fileBytes: 120 * MIB,
+        activeFileBytes: 70 * MIB,
+        inactiveFileBytes: 50 * MIB,
+        shmemBytes: 0
+      }
+    }
+  });
+});
+
+test('readV1 reports a -1 quota and the unlimited sentinel as no limit', () => {
+  const reading = readV1(fakeCgroup({
+    ...V1_FILES,
+    'cpu/cpu.cfs_quota_us': '-1\n',
+    // What the kernel reports: the sentinel rounded down to the page size
+    'memory/memory.limit_in_bytes': '9223372036854771712\n'
+  }));
+  assert.equal(reading.cpu.limitMillicores, null);
+  assert.equal(reading.memory.limitBytes, null);
+
+  const atSentinel = readV1(fakeCgroup({ ...V1_FILES, 'memory/memory.limit_in_bytes': `${V1_UNLIMITED}\n` }));
+  assert.equal(atSentinel.memory.limitBytes, null);
+});
+
+test('missing files read as null', () => {
+  const v2 = readV2(fakeCgroup({ 'cgroup.controllers': 'cpu memory\n' }));
+  assert.equal(v2.cpu.limitMillicores, null);
+  assert.equal(v2.cpu.throttledUsec, null);
+  assert.equal(v2.memory.usageBytes, null);
+  assert.equal(v2.memory.workingSetBytes, null);
+  assert.deepEqual(v2.memory.events, { max: null, oom: null, oomKill: null });
+  assert.equal(v2.memory.stat, null);
+
+  const v1 = readV1(fakeCgroup({ 'memory/memory.usage_in_bytes': `${MIB}\n` }));
+  assert.equal(v1.cpu.limitMillicores, null);
+  assert.equal(v1.cpu.usageUsec, null);
+  assert.equal(v1.cpu.throttledUsec, null);
+  assert.equal(v1.memory.limitBytes, null);
+  assert.equal(v1.memory.workingSetBytes, MIB);
+  assert.deepEqual(v1.memory.events, { max: null, oom: null, oomKill: null });
+});
+
+test('createCgroupTelemetry without a cgroup reports it unavailable', () => {
+  const telemetry = createCgroupTelemetry({ root: fakeCgroup({}) });
+  assert.equal(telemetry.version, null);
+  assert.equal(telemetry.read(), null);
+  assert.equal(telemetry.snapshot().available, false);
+});
+
+test('createCgroupTelemetry computes rates over the sampling window', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const root = fakeCgroup(V2_FILES);
+  const telemetry = createCgroupTelemetry({ root, sampleMs: 5000 });
+  assert.equal(telemetry.snapshot().rates.cpuMillicores, null);
+
+  // 5 s later: 2.5 s of CPU, 40 more periods of which 20 throttled, 1 s throttled
+  writeFiles(root, {
+    'cpu.stat': 'usage_usec 4500000\nnr_periods 80\nnr_throttled 30\nthrottled_usec 1300000\n'
+  });
+  t.mock.timers.tick(5000);
+
+  const snapshot = telemetry.snapshot();
+  assert.equal(snapshot.available, true);
+  assert.equal(snapshot.version, 2);
+  assert.equal(snapshot.memory.limitBytes, 512 * MIB);
+  assert.deepEqual(snapshot.rates, {
+    windowSeconds: 5,
+    cpuMillicores: 500,
+    throttledPercent: 50,
+    throttledMsPerSecond: 200
+  });
+});
@@ -1,10 +1,15 @@
 const express = require('express');
 const os = require('os');
+const v8 = require('v8');
 const path = require('path');
 const fs = require('fs');
 
 const http = require('http');
 const https = require('https');
+const { Worker } = require('worker_threads');
+const { setTimeout: sleep } = require('timers/promises');
+const yaml = require('js-yaml');
+const { createCgroupTelemetry } = require('../shared/cgroup-telemetry');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -15,23 +20,51 @@ const NAMESPACE = process.env.NAMESPACE || 'desconhecido';
 const PEER_ROUTE = process.env.PEER_ROUTE || '';   // external Route URL
 const PEER_SERVICE = process.env.PEER_SERVICE || ''; // internal Service DNS
 
+// Live cgroup telemetry (see shared/cgroup-telemetry.js); CGROUP_ROOT can point at a fake tree
+const cgroup = createCgroupTelemetry({ root: process.env.CGROUP_ROOT || '/sys/fs/cgroup' });
+
 // Detect memory limit from cgroups (works inside containers)
 function getMemoryLimitMB() {
-  const paths = [
-    '/sys/fs/cgroup/memory.max',            // cgroups v2
-    '/sys/fs/cgroup/memory/memory.limit_in_bytes' // cgroups v1
-  ];
-  for (const p of paths) {
-    try {
-      const val = fs.readFileSync(p, 'utf8').trim();
-      if (val === 'max' || val === '9223372036854771712') return null; // no limit
-      return Math.round(parseInt(val) / (1024 * 1024));
-    } catch (e) { /* next */ }
-  }
-  return null;
+  const limit = cgroup.read()?.memory.limitBytes;
+  return limit ? Math.round(limit / (1024 * 1024)) : null;
 }
 const MEMORY_LIMIT_MB = getMemoryLimitMB();
 
+// Container working set: usage minus inactive page cache, the figure the kubelet
+// and `oc adm top` report. Falls back to the process RSS outside a container.
+function getWorkingSet() {
+  const bytes = cgroup.read()?.memory.workingSetBytes ?? null;
+  if (bytes !== null) return { mb: Math.round(bytes / (1024 * 1024)), source: 'cgroup' };
+  return { mb: Math.round(process.memoryUsage().rss / (1024 * 1024)), source: 'rss' };
+}
+
+// --- Request instrumentation (exposed at /metrics) ---
+// Every request is counted by route and status code; /ping and
+// /api/call-service also feed a latency histogram, the two figures the
+// Route vs Service demo compares.
+const LATENCY_ROUTES = ['/ping', '/api/call-service'];
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const requestCounts = new Map(); // "method|route|code" -> count
+const latency = new Map(LATENCY_ROUTES.map(route => [route, { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }]));
+
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    // The matched route pattern, not the raw URL, so label values stay bounded
+    const route = req.route ? req.route.path : 'other';
+    const key = [req.method, route, res.statusCode].join('|');
+    requestCounts.set(key, (requestCounts.get(key) || 0) + 1);
+    const hist = latency.get(route);
+    if (hist) {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      LATENCY_BUCKETS.forEach((le, i) => { if (seconds <= le) hist.buckets[i]++; });
+      hist.sum += seconds;
+      hist.count++;
+    }
+  });
+  next();
+});
+
 // Serve static files (logo)
 app.use(express.static(path.join(__dirname)));
 
@@ -39,6 +72,487 @@ app.use(express.static(path.join(__dirname)));
 let cpuStressActive = false;
 let memoryBlocks = [];
 
+// --- CPU stress (worker threads) ---
+// Each worker burns one core on its own thread, so the event loop keeps serving
+// the UI, /metrics and /ping. A worker runs a duty cycle: busy for duty x period,
+// idle for the rest. intensity=N starts N workers at 100%; millicores=M spreads
+// M over ceil(M / 1000) workers, e.g. 300 -> one worker at 30%, 2500 -> three at 83%.
+const MAX_CPU_WORKERS = 8;
+const DUTY_PERIOD_MS = 100;
+
+// Runs inside the worker (passed as source, so the image needs no extra file).
+// Reports the thread's own CPU time from /proc/thread-self/stat, which excludes
+// time spent throttled by the container's CPU limit; busyPercent is wall time.
+function cpuWorkerMain() {
+  const { parentPort, workerData } = require('worker_threads');
+  const fs = require('fs');
+  const { duty, periodMs, reportMs } = workerData;
+  const TICK_MS = 10; // USER_HZ = 100
+
+  function threadCpuMs() {
+    try {
+      const stat = fs.readFileSync('/proc/thread-self/stat', 'utf8');
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      return (parseInt(fields[11]) + parseInt(fields[12])) * TICK_MS; // utime + stime
+    } catch (e) {
+      return null; // not Linux
+    }
+  }
+
+  let lastReport = Date.now();
+  let lastCpu = threadCpuMs();
+  let busyMs = 0;
+
+  function cycle() {
+    const start = Date.now();
+    const busyUntil = start + periodMs * duty;
+    while (Date.now() < busyUntil) {
+      Math.sqrt(Math.random() * 999999);
+    }
+    busyMs += Date.now() - start;
+
+    const now = Date.now();
+    if (now - lastReport >= reportMs) {
+      const cpu = threadCpuMs();
+      parentPort.postMessage({
+        millicores: cpu !== null && lastCpu !== null ? Math.round((cpu - lastCpu) / (now - lastReport) * 1000) : null,
+        busyPercent: Math.round(busyMs / (now - lastReport) * 100)
+      });
+      lastReport = now;
+      lastCpu = cpu;
+      busyMs = 0;
+    }
+    setTimeout(cycle, Math.max(0, start + periodMs - Date.now()));
+  }
+  cycle();
+}
+
+const cpuLoad = { workers: [], mode: null, targetMillicores: null, startedAt: null, endsAt: null, timer: null };
+
+// { intensity } or { millicores }, for `duration` seconds; replaces any running load
+function startCpuLoad({ intensity, millicores, duration }) {
+  stopCpuLoad(false);
+  const count = millicores ? Math.ceil(millicores / 1000) : intensity;
+  const duties = Array.from({ length: count }, () => millicores ? millicores / count / 1000 : 1);
+
+  cpuLoad.mode = millicores ? 'millicores' : 'intensity';
+  cpuLoad.targetMillicores = Math.round(duties.reduce((a, b) => a + b, 0) * 1000);
+  cpuLoad.startedAt = Date.now();
+  cpuLoad.endsAt = Date.now() + duration * 1000;
+  cpuLoad.workers = duties.map((duty) => {
+    const entry = {
+      duty,
+      millicores: null,
+      busyPercent: null,
+      worker: new Worker(`(${cpuWorkerMain.toString()})()`, {
+        eval: true,
+        workerData: { duty, periodMs: DUTY_PERIOD_MS, reportMs: 1000 }
+      })
+    };
+    entry.worker.on('message', (m) => Object.assign(entry, m));
+    entry.worker.on('error', (err) => console.error(`[CPU] Worker falhou: ${err.message}`));
+    return entry;
+  });
+  cpuLoad.timer = setTimeout(() => stopCpuLoad(true), duration * 1000);
+  cpuStressActive = true;
+  console.log(`[CPU] Iniciando carga: duracao=${duration}s, ${duties.length} worker(s), alvo=${cpuLoad.targetMillicores}m`);
+}
+
+function stopCpuLoad(finished) {
+  if (cpuLoad.workers.length === 0) return;
+  clearTimeout(cpuLoad.timer);
+  for (const w of cpuLoad.workers) w.worker.terminate();
+  console.log(`[CPU] Carga ${finished ? 'finalizada' : 'interrompida'} apos ${Math.round((Date.now() - cpuLoad.startedAt) / 1000)}s`);
+  Object.assign(cpuLoad, { workers: [], mode: null, targetMillicores: null, startedAt: null, endsAt: null, timer: null });
+  cpuStressActive = false;
+}
+
+function cpuLoadStatus() {
+  const measured = cpuLoad.workers.map(w => w.millicores).filter(m => m !== null);
+  return {
+    active: cpuStressActive,
+    mode: cpuLoad.mode,
+    targetMillicores: cpuLoad.targetMillicores,
+    measuredMillicores: measured.length ? measured.reduce((a, b) => a + b, 0) : null,
+    remainingSeconds: cpuLoad.endsAt ? Math.max(0, Math.round((cpuLoad.endsAt - Date.now()) / 1000)) : null,
+    workers: cpuLoad.workers.map(w => ({
+      dutyPercent: Math.round(w.duty * 100),
+      millicores: w.millicores,
+      busyPercent: w.busyPercent
+    }))
+  };
+}
+
+// --- Memory stress ---
+function allocateMemory(sizeMB) {
+  try {
+    const block = Buffer.alloc(sizeMB * 1024 * 1024, 0x42);
+    memoryBlocks.push(block);
+    console.log(`[MEM] Alocado ${sizeMB} MB (total blocos: ${memoryBlocks.length})`);
+    return true;
+  } catch (err) {
+    console.error(`[MEM] Falha na alocacao: ${err.message}`);
+    return false;
+  }
+}
+
+function releaseMemory() {
+  stopMemoryPressure('stopped');
+  const count = memoryBlocks.length;
+  memoryBlocks.length = 0;
+  memoryBlocks = [];
+  heapChunks = [];
+  for (const file of pageCacheFiles) {
+    try { fs.unlinkSync(file.path); } catch (e) { /* already gone */ }
+  }
+  pageCacheFiles = [];
+  if (global.gc) {
+    global.gc();
+    setTimeout(() => global.gc(), 500);
+  }
+  console.log(`[MEM] Liberados ${count} blocos, objetos do heap e arquivos de page cache`);
+}
+
+// --- Memory pressure modes ---
+// /memory/start?mode=...&rate=N grows memory by N MB every second until stopped:
+//   leak       Buffers outside the V8 heap, like /allocate but gradual; RSS grows
+//   heap       small objects kept alive on the V8 heap, so GC works harder; past
+//              --max-old-space-size the process dies of a heap OOM, not an OOMKill
+//   pagecache  files written to PAGE_CACHE_DIR: RSS stays flat while the cgroup is
+//              charged for page cache, which the kernel reclaims before any OOMKill
+//              (unless the directory is a tmpfs, whose pages cannot be reclaimed)
+// stopAt=X stops before the working set passes X% of MEMORY_LIMIT_MB, so the same
+// demo can end in an OOMKill or degrade gracefully just short of it.
+const PAGE_CACHE_DIR = process.env.PAGE_CACHE_DIR || os.tmpdir();
+const MEMORY_MODES = ['leak', 'heap', 'pagecache'];
+const MEMORY_MAX_RATE_MB = 256;
+const MEMORY_MAX_TOTAL_MB = 4096;
+const HEAP_OBJECTS_PER_MB = 6900; // ~152 bytes each on V8 x64
+
+let heapChunks = [];
+let pageCacheFiles = []; // { path, bytes }
+let pageCacheSeq = 0; // file name suffix; never reused, so a late rm cannot hit a newer file
+let growing = null; // grow step in flight (page cache writes are async)
+
+const memPressure = {
+  active: false, mode: null, rateMb: null, stopAtPercent: null, maxMb: null,
+  addedMb: 0, startedAt: null, stoppedReason: null, stopMessage: null, timer: null, run: 0
+};
+
+const MEMORY_GROWERS = {
+  leak(mb) {
+    if (!allocateMemory(mb)) throw new Error(`falha ao alocar ${mb} MB`);
+  },
+  heap(mb) {
+    for (let i = 0; i < mb; i++) {
+      heapChunks.push(Array.from({ length: HEAP_OBJECTS_PER_MB }, (_, j) => ({ id: j, tag: 'obj-' + j, values: [j, j * 2, j * 3] })));
+    }
+  },
+  // Listed before the write so the status counts it; a release during the
+  // write replaces the list, and the file is deleted once the write is done
+  async pagecache(mb) {
+    const entry = { path: path.join(PAGE_CACHE_DIR, `stress-app-${process.pid}-${pageCacheSeq++}.bin`), bytes: mb * 1024 * 1024 };
+    pageCacheFiles.push(entry);
+    try {
+      await fs.promises.writeFile(entry.path, Buffer.alloc(entry.bytes, 0x42));
+    } catch (err) {
+      pageCacheFiles = pageCacheFiles.filter(f => f !== entry);
+      throw err;
+    } finally {
+      if (!pageCacheFiles.includes(entry)) await fs.promises.rm(entry.path, { force: true });
+    }
+  }
+};
+
+function memoryPressureTick() {
+  const p = memPressure;
+  // A write that takes longer than a tick delays the next one instead of piling up
+  if (growing) return;
+  const size = Math.min(p.rateMb, p.maxMb - p.addedMb);
+  if (size <= 0) return stopMemoryPressure('max', `${p.addedMb} MB adicionados`);
+  if (p.stopAtPercent) {
+    const threshold = MEMORY_LIMIT_MB * p.stopAtPercent / 100;
+    const { mb } = getWorkingSet();
+    if (mb + size > threshold) {
+      return stopMemoryPressure('guard', `working set em ${mb} MB, +${size} MB passaria de ${p.stopAtPercent}% do limit (${Math.round(threshold)} MB)`);
+    }
+  }
+  const run = p.run;
+  growing = Promise.resolve()
+    .then(() => MEMORY_GROWERS[p.mode](size))
+    .then(
+      () => { if (p.run === run) p.addedMb += size; },
+      (err) => { if (p.run === run) stopMemoryPressure('error', err.message); }
+    )
+    .finally(() => { growing = null; });
+}
+
+// { mode, rateMb, stopAtPercent, maxMb }; replaces any running pressure
+function startMemoryPressure({ mode, rateMb, stopAtPercent, maxMb }) {
+  stopMemoryPressure('stopped');
+  Object.assign(memPressure, {
+    active: true, mode, rateMb, stopAtPercent, maxMb,
+    addedMb: 0, startedAt: Date.now(), stoppedReason: null, stopMessage: null,
+    timer: setInterval(memoryPressureTick, 1000), run: memPressure.run + 1
+  });
+  console.log(`[MEM] Pressao ${mode}: ${rateMb} MB/s, ate ${maxMb} MB${stopAtPercent ? `, guard em ${stopAtPercent}% do limit` : ''}`);
+  memoryPressureTick();
+}
+
+// reason: stopped | guard | max | error
+function stopMemoryPressure(reason, message = null) {
+  if (!memPressure.active) return;
+  clearInterval(memPressure.timer);
+  Object.assign(memPressure, { active: false, timer: null, stoppedReason: reason, stopMessage: message });
+  console.log(`[MEM] Pressao ${memPressure.mode} parada (${reason})${message ? `: ${message}` : ''}`);
+}
+
+function memoryStatus() {
+  const mem = process.memoryUsage();
+  const { timer, run, ...pressure } = memPressure;
+  return {
+    limitMb: MEMORY_LIMIT_MB,
+    rssMb: +(mem.rss / 1024 / 1024).toFixed(1),
+    heapUsedMb: +(mem.heapUsed / 1024 / 1024).toFixed(1),
+    heapLimitMb: Math.round(v8.getHeapStatistics().heap_size_limit / 1024 / 1024),
+    workingSet: getWorkingSet(),
+    blocks: memoryBlocks.length,
+    held: {
+      bufferMb: +(memoryBlocks.reduce((sum, b) => sum + b.length, 0) / (1024 * 1024)).toFixed(1),
+      heapMb: heapChunks.length,
+      pageCacheMb: pageCacheFiles.reduce((sum, f) => sum + f.bytes, 0) / (1024 * 1024)
+    },
+    pressure
+  };
+}
+
+// --- Scenarios ---
+// A scenario is a timeline of steps run one after the other, so a demo behaves
+// the same in every workshop. POST it to /api/scenario as JSON or YAML:
+//
+//   name: hpa-e-oom
+//   steps:
+//     - { action: cpu, millicores: 300, rampSeconds: 60, holdSeconds: 120 }
+//     - { action: allocate, mb: 200, stepMb: 20, intervalSeconds: 2 }
+//     - { action: cpu, millicores: 1500, holdSeconds: 30 }
+//     - { action: wait, seconds: 30 }
+//     - { action: release }
+//
+// cpu sets the load target (0 stops it), ramping linearly from the previous
+// target in RAMP_SLICE_SECONDS slices, then holds it; the load lasts until the
+// next cpu step or the end of the scenario. Allocated memory stays until a
+// release step, so an OOMKill demo can end with the container at its limit.
+const SCENARIO_MAX_STEPS = 50;
+const SCENARIO_MAX_SECONDS = 1800;
+const SCENARIO_MAX_MB = 4096;
+const RAMP_SLICE_SECONDS = 5;
+
+// action -> { field: [min, max, required] }
+const STEP_FIELDS = {
+  cpu: {
+    millicores: [0, MAX_CPU_WORKERS * 1000, true],
+    rampSeconds: [0, SCENARIO_MAX_SECONDS, false],
+    holdSeconds: [0, SCENARIO_MAX_SECONDS, false]
+  },
+  allocate: {
+    mb: [1, SCENARIO_MAX_MB, true],
+    stepMb: [1, 512, false],
+    intervalSeconds: [0, 60, false]
+  },
+  wait: { seconds: [1, SCENARIO_MAX_SECONDS, true] },
+  release: {}
+};
+
+const SCENARIO_PRESETS = {
+  hpa: {
+    name: 'hpa',
+    steps: [
+      { action: 'cpu', millicores: 300, rampSeconds: 60, holdSeconds: 120 },
+      { action: 'cpu', millicores: 1500, holdSeconds: 60 },
+      { action: 'cpu', millicores: 300, holdSeconds: 60 },
+      { action: 'cpu', millicores: 0 }
+    ]
+  },
+  oom: {
+    name: 'oom',
+    steps: [
+      // Past the limit when there is one; otherwise a bounded climb and release
+      { action: 'allocate', mb: MEMORY_LIMIT_MB ? Math.min(MEMORY_LIMIT_MB + 64, SCENARIO_MAX_MB) : 512, stepMb: 32, intervalSeconds: 2 },
+      { action: 'wait', seconds: 30 },
+      { action: 'release' }
+    ]
+  }
+};
+
+// Validates a parsed scenario (object with steps, or a bare list of steps) and
+// fills in defaults; throws with a message meant for the API caller
+function parseScenario(def) {
+  const steps = Array.isArray(def) ? def : def?.steps;
+  if (!Array.isArray(steps) || steps.length === 0) throw new Error('O cenário precisa de uma lista "steps" não vazia');
+  if (steps.length > SCENARIO_MAX_STEPS) throw new Error(`Máximo de ${SCENARIO_MAX_STEPS} passos`);
+  const name = Array.isArray(def) || def.name === undefined ? 'cenario' : String(def.name).slice(0, 63);
+
+  const parsed = steps.map((step, i) => {
+    const fields = Object.hasOwn(STEP_FIELDS, step?.action) ? STEP_FIELDS[step.action] : null;
+    if (!fields) throw new Error(`Passo ${i + 1}: action inválida: ${step?.action} (use ${Object.keys(STEP_FIELDS).join(', ')})`);
+    const out = { action: step.action };
+    for (const [field, [min, max, required]] of Object.entries(fields)) {
+      const value = step[field];
+      if (value === undefined) {
+        if (required) throw new Error(`Passo ${i + 1}: ${field} é obrigatório`);
+        continue;
+      }
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`Passo ${i + 1}: ${field} inválido: ${value} (use ${min}-${max})`);
+      }
+      out[field] = value;
+    }
+    const unknown = Object.keys(step).filter(k => k !== 'action' && !Object.hasOwn(fields, k));
+    if (unknown.length) throw new Error(`Passo ${i + 1}: campo desconhecido: ${unknown.join(', ')}`);
+    return out;
+  });
+
+  for (const step of parsed) {
+    if (step.action === 'cpu') Object.assign(step, { rampSeconds: 0, holdSeconds: 0, ...step });
+    if (step.action === 'allocate') Object.assign(step, { stepMb: step.mb, intervalSeconds: 1, ...step });
+  }
+  const totalSeconds = parsed.reduce((sum, step) => sum + stepSeconds(step), 0);
+  if (totalSeconds > SCENARIO_MAX_SECONDS) throw new Error(`Cenário longo demais: ${totalSeconds}s (máximo ${SCENARIO_MAX_SECONDS}s)`);
+  return { name, steps: parsed };
+}
+
+// Planned duration of a step
+function stepSeconds(step) {
+  switch (step.action) {
+    case 'cpu': return step.rampSeconds + step.holdSeconds;
+    case 'allocate': return (Math.ceil(step.mb / step.stepMb) - 1) * step.intervalSeconds;
+    case 'wait': return step.seconds;
+    default: return 0;
+  }
+}
+
+function describeStep(step) {
+  switch (step.action) {
+    case 'cpu':
+      if (step.millicores === 0) return 'Parar carga de CPU';
+      return `CPU ${step.rampSeconds ? `em rampa até ${step.millicores}m em ${step.rampSeconds}s` : `em ${step.millicores}m`}` +
+        (step.holdSeconds ? `, manter por ${step.holdSeconds}s` : '');
+    case 'allocate':
+      return step.stepMb < step.mb
+        ? `Alocar ${step.mb} MB em passos de ${step.stepMb} MB a cada ${step.intervalSeconds}s`
+        : `Alocar ${step.mb} MB`;
+    case 'wait': return `Aguardar ${step.seconds}s`;
+    case 'release': return 'Liberar memória';
+  }
+}
+
+let scenarioRun = null;
+
+function setScenarioCpu(run, millicores) {
+  run.millicores = millicores;
+  if (millicores > 0) startCpuLoad({ millicores, duration: SCENARIO_MAX_SECONDS });
+  else stopCpuLoad(false);
+}
+
+// Each action resolves when the step is over; sleeps reject when the run is aborted
+const SCENARIO_ACTIONS = {
+  async cpu(run, step, signal) {
+    const from = run.millicores;
+    const slices = Math.ceil(step.rampSeconds / RAMP_SLICE_SECONDS);
+    for (let i = 1; i <= slices; i++) {
+      setScenarioCpu(run, Math.round(from + (step.millicores - from) * i / slices));
+      await sleep(step.rampSeconds / slices * 1000, undefined, { signal });
+    }
+    if (slices === 0) setScenarioCpu(run, step.millicores);
+    await sleep(step.holdSeconds * 1000, undefined, { signal });
+  },
+  async allocate(run, step, signal) {
+    step.allocatedMb = 0;
+    while (step.allocatedMb < step.mb) {
+      if (step.allocatedMb > 0) await sleep(step.intervalSeconds * 1000, undefined, { signal });
+      const size = Math.min(step.stepMb, step.mb - step.allocatedMb);
+      if (!allocateMemory(size)) throw new Error(`Falha ao alocar ${size} MB`);
+      step.allocatedMb += size;
+    }
+  },
+  async wait(run, step, signal) {
+    await sleep(step.seconds * 1000, undefined, { signal });
+  },
+  async release() {
+    releaseMemory();
+  }
+};
+
+async function runScenario(run) {
+  const { signal } = run.controller;
+  console.log(`[SCENARIO] Iniciando "${run.name}": ${run.steps.length} passo(s), ~${run.totalSeconds}s`);
+  try {
+    for (const [i, entry] of run.steps.entries()) {
+      run.current = i;
+      entry.state = 'running';
+      entry.startedAt = Date.now();
+      console.log(`[SCENARIO] Passo ${i + 1}/${run.steps.length}: ${entry.description}`);
+      await SCENARIO_ACTIONS[entry.step.action](run, entry.step, signal);
+      entry.state = 'done';
+    }
+    run.state = 'completed';
+  } catch (err) {
+    run.state = signal.aborted ? 'aborted' : 'failed';
+    if (!signal.aborted) run.error = err.message;
+    run.steps[run.current].state = run.state;
+  }
+  if (run.millicores > 0) stopCpuLoad(run.state === 'completed');
+  run.current = null;
+  run.finishedAt = Date.now();
+  console.log(`[SCENARIO] "${run.name}" ${run.state}${run.error ? `: ${run.error}` : ''}`);
+}
+
+// Returns false when a scenario is already running
+function startScenario(scenario) {
+  if (scenarioRun?.state === 'running') return false;
+  scenarioRun = {
+    name: scenario.name,
+    state: 'running',
+    error: null,
+    current: null,
+    millicores: 0,
+    startedAt: Date.now(),
+    finishedAt: null,
+    totalSeconds: scenario.steps.reduce((sum, step) => sum + stepSeconds(step), 0),
+    controller: new AbortController(),
+    steps: scenario.steps.map(step => ({ step, description: describeStep(step), seconds: stepSeconds(step), state: 'pending', startedAt: null }))
+  };
+  scenarioRun.done = runScenario(scenarioRun);
+  return true;
+}
+
+// Resolves once the run has stopped; false when nothing was running
+async function abortScenario() {
+  if (scenarioRun?.state !== 'running') return false;
+  scenarioRun.controller.abort();
+  await scenarioRun.done;
+  return true;
+}
+
+function scenarioStatus() {
+  if (!scenarioRun) return { state: 'idle' };
+  const run = scenarioRun;
+  const elapsedSeconds = Math.round(((run.finishedAt || Date.now()) - run.startedAt) / 1000);
+  return {
+    name: run.name,
+    state: run.state,
+    error: run.error,
+    startedAt: new Date(run.startedAt).toISOString(),
+    finishedAt: run.finishedAt ? new Date(run.finishedAt).toISOString() : null,
+    elapsedSeconds,
+    totalSeconds: run.totalSeconds,
+    progressPercent: run.state === 'completed' ? 100
+      : run.totalSeconds ? Math.min(99, Math.round(elapsedSeconds / run.totalSeconds * 100)) : 0,
+    currentStep: run.current,
+    steps: run.steps.map(entry => ({ ...entry.step, description: entry.description, seconds: entry.seconds, state: entry.state }))
+  };
+}
+
 // --- Theme based on namespace ---
 function getTheme() {
   if (NAMESPACE.includes('ruim')) {
@@ -135,9 +649,83 @@ function getYamlSnippets() {
 }
 
 // --- HTML UI ---
+function renderCpuStatus(status) {
+  const workers = status.workers.map((w, i) =>
+    `<br>&nbsp;&nbsp;worker ${i + 1}: alvo ${w.dutyPercent}% de um core, medido ${w.millicores ?? '--'}m`).join('');
+  return `<span class="label">Carga ativa:</span> ${status.active ? '<span class="badge badge-on">SIM</span>' : '<span class="badge badge-off">NÃO</span>'}${status.active ? `<br>
+        <span class="label">Alvo:</span> ${status.targetMillicores}m em ${status.workers.length} worker(s), restam ${status.remainingSeconds}s<br>
+        <span class="label">Medido:</span> ${status.measuredMillicores ?? '--'}m${workers}` : ''}<br>
+        <span class="label">Cores disponiveis:</span> ${os.cpus().length}`;
+}
+
+const SCENARIO_STATE_LABELS = { running: 'EM EXECUÇÃO', completed: 'CONCLUÍDO', aborted: 'INTERROMPIDO', failed: 'FALHOU' };
+const STEP_MARKS = { pending: '&nbsp;&nbsp;', running: '&gt;&gt;', done: 'ok', aborted: '--', failed: '!!' };
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function renderScenarioStatus(status) {
+  if (status.state === 'idle') return '<span class="label">Cenário:</span> nenhum executado';
+  const steps = status.steps.map((step, i) =>
+    `<br>&nbsp;&nbsp;[${STEP_MARKS[step.state]}] ${i + 1}. ${step.description}`).join('');
+  return `<span class="label">Cenário:</span> ${escapeHtml(status.name)} <span class="badge ${status.state === 'running' ? 'badge-on' : 'badge-off'}">${SCENARIO_STATE_LABELS[status.state]}</span><br>
+        <span class="label">Progresso:</span> ${status.progressPercent}% (${status.elapsedSeconds}s de ~${status.totalSeconds}s)${status.error ? `<br>
+        <span class="label">Erro:</span> ${escapeHtml(status.error)}` : ''}${steps}`;
+}
+
+const MEMORY_MODE_LABELS = { leak: 'vazamento (Buffers)', heap: 'objetos no heap', pagecache: 'page cache' };
+const MEMORY_STOP_LABELS = { stopped: 'interrompida', guard: 'parada pelo guard', max: 'total atingido', error: 'falhou' };
+
+// The bar shows the same working set the stopAt guard compares against the limit
+function renderMemoryStatus(status) {
+  const ws = status.workingSet;
+  const pct = status.limitMb ? ws.mb / status.limitMb : 0;
+  const p = status.pressure;
+  const bar = status.limitMb ? `
+      <div class="mem-bar-container">
+        <div class="mem-bar-label">
+          <span>Memória: ${ws.mb} Mi / ${status.limitMb} Mi limit</span>
+          <span class="mem-bar-pct">${Math.round(pct * 100)}%</span>
+        </div>
+        <div class="mem-bar-track">
+          <div class="mem-bar-fill ${pct > 0.8 ? 'danger' : pct > 0.5 ? 'warning' : ''}" style="width: ${Math.min(Math.round(pct * 100), 100)}%"></div>
+        </div>
+        <div style="font-size: 0.72rem; color: #888; font-style: italic; margin-top: 4px;">${ws.source === 'cgroup'
+          ? 'Valor = working set do cgroup (uso menos page cache inativo), o mesmo que o Kubernetes usa.'
+          : 'Valor = RSS do processo (cgroup não encontrado). O Kubernetes usa o working set do container.'}</div>
+      </div>` : '';
+  const pressure = p.mode ? `<br>
+        <span class="label">Pressão:</span> ${MEMORY_MODE_LABELS[p.mode]}, ${p.rateMb} MB/s, +${p.addedMb} MB ${p.active
+          ? `<span class="badge badge-on">ATIVA</span>${p.stopAtPercent ? ` (guard em ${p.stopAtPercent}%)` : ''}`
+          : `<span class="badge badge-off">${MEMORY_STOP_LABELS[p.stoppedReason].toUpperCase()}</span>${p.stopMessage ? ` ${escapeHtml(p.stopMessage)}` : ''}`}` : '';
+  return `${bar}
+      <div class="status">
+        <span class="label">Blocos alocados:</span> ${status.blocks} (${status.held.bufferMb.toFixed(1)} MB)<br>
+        <span class="label">Heap (objetos):</span> ${status.held.heapMb} MB, heap usado ${status.heapUsedMb} MB de ${status.heapLimitMb} MB<br>
+        <span class="label">Page cache (arquivos):</span> ${status.held.pageCacheMb} MB<br>
+        <span class="label">RSS:</span> ${status.rssMb.toFixed(1)} MB<br>
+        <span class="label">Working set${status.workingSet.source === 'cgroup' ? ' (cgroup)' : ' (RSS, sem cgroup)'}:</span> ${status.workingSet.mb} MB${status.limitMb ? `<br>
+        <span class="label">Memory Limit:</span> ${status.limitMb} MB` : ''}${pressure}
+      </div>`;
+}
+
+function renderCgroupStatus(t) {
+  if (!t.available) return `<span class="label">cgroup:</span> não encontrado em ${escapeHtml(t.root)} (fora de um container?)`;
+  const mb = (bytes) => bytes === null ? '--' : `${Math.round(bytes / (1024 * 1024))} MB`;
+  const { cpu, memory, rates } = t;
+  const throttled = rates.throttledPercent > 0;
+  return `<span class="label">cgroup:</span> v${t.version}<br>
+        <span class="label">CPU limit:</span> ${cpu.limitMillicores !== null ? `${cpu.limitMillicores}m (período ${cpu.periodUs / 1000}ms)` : 'sem limit'}<br>
+        ${rates.windowSeconds === null ? '<span class="label">Uso de CPU:</span> aguardando a segunda amostra<br>' : `<span class="label">Uso de CPU:</span> ${rates.cpuMillicores ?? '--'}m (últimos ${rates.windowSeconds}s)<br>
+        <span class="label">Throttling:</span> ${rates.throttledPercent ?? '--'}% dos períodos, ${rates.throttledMsPerSecond ?? '--'} ms/s parado
+        <span class="badge ${throttled ? 'badge-on' : 'badge-off'}">${throttled ? 'THROTTLED' : 'OK'}</span><br>`}
+        <span class="label">Desde o início:</span> ${cpu.nrThrottled ?? '--'} de ${cpu.nrPeriods ?? '--'} períodos, ${cpu.throttledUsec !== null ? (cpu.throttledUsec / 1e6).toFixed(1) : '--'}s parado<br>
+        <span class="label">Memória:</span> working set ${mb(memory.workingSetBytes)} / ${memory.limitBytes !== null ? `limit ${mb(memory.limitBytes)}` : 'sem limit'} (uso ${mb(memory.usageBytes)}, page cache ${mb(memory.stat?.fileBytes ?? null)})<br>
+        <span class="label">Eventos:</span> limit atingido ${memory.events.max ?? '--'}x, OOM ${memory.events.oom ?? '--'}, OOM kills ${memory.events.oomKill ?? '--'}`;
+}
+
 function buildHTML() {
-  const memUsage = process.memoryUsage();
-  const memAllocatedMB = memoryBlocks.reduce((sum, b) => sum + b.length, 0) / (1024 * 1024);
   const t = getTheme();
   const yaml = getYamlSnippets();
 
@@ -243,10 +831,14 @@ ${yaml.hpa}
         <a class="btn btn-stress" href="/load?duration=120&intensity=2">120s - Moderado</a>
         <a class="btn btn-danger" href="/load?duration=300&intensity=4">5min - Pesado</a>
       </div>
-      <div class="status">
-        <span class="label">Carga ativa:</span> ${cpuStressActive ? '<span class="badge badge-on">SIM</span>' : '<span class="badge badge-off">NÃO</span>'}<br>
-        <span class="label">Cores disponiveis:</span> ${os.cpus().length}
+      <p style="margin-top: 10px;">Ou um consumo alvo em millicores (ex.: perto do request para disparar o HPA):</p>
+      <div>
+        <a class="btn btn-stress" href="/load?duration=120&millicores=100">100m</a>
+        <a class="btn btn-stress" href="/load?duration=120&millicores=300">300m</a>
+        <a class="btn btn-stress" href="/load?duration=120&millicores=1500">1500m</a>
+        <a class="btn btn-release" href="/load/stop">Parar carga</a>
       </div>
+      <div class="status" id="cpuStatus">${renderCpuStatus(cpuLoadStatus())}</div>
     </div>
 
     <div class="card">
@@ -264,24 +856,33 @@ ${yaml.resources}
         <a class="btn btn-stress" href="/allocate?size=64">+64 MB</a>
         <a class="btn btn-release" href="/release">Liberar Tudo</a>
       </div>
-      ${MEMORY_LIMIT_MB ? `
-      <div class="mem-bar-container">
-        <div class="mem-bar-label">
-          <span>Memória: ${(memUsage.rss / 1024 / 1024).toFixed(0)} Mi / ${MEMORY_LIMIT_MB} Mi limit</span>
-          <span class="mem-bar-pct">${Math.round((memUsage.rss / 1024 / 1024) / MEMORY_LIMIT_MB * 100)}%</span>
-        </div>
-        <div class="mem-bar-track">
-          <div class="mem-bar-fill ${(memUsage.rss / 1024 / 1024) / MEMORY_LIMIT_MB > 0.8 ? 'danger' : (memUsage.rss / 1024 / 1024) / MEMORY_LIMIT_MB > 0.5 ? 'warning' : ''}" style="width: ${Math.min(Math.round((memUsage.rss / 1024 / 1024) / MEMORY_LIMIT_MB * 100), 100)}%"></div>
-        </div>
-        <div style="font-size: 0.72rem; color: #888; font-style: italic; margin-top: 4px;">Valor = RSS do processo. O Kubernetes usa working_set (pode ser menor).</div>
+      <p style="margin-top: 10px;">Ou uma pressão gradual (fora do heap, no heap do V8 ou em page cache)${MEMORY_LIMIT_MB ? ', com ou sem parar antes do limit' : ''}:</p>
+      <div>
+        <a class="btn btn-danger" href="/memory/start?mode=leak&rate=10">Vazamento 10 MB/s</a>
+        ${MEMORY_LIMIT_MB ? '<a class="btn btn-stress" href="/memory/start?mode=leak&rate=10&stopAt=80">Vazamento até 80%</a>' : ''}
+        <a class="btn btn-stress" href="/memory/start?mode=heap&rate=10">Heap 10 MB/s</a>
+        <a class="btn btn-stress" href="/memory/start?mode=pagecache&rate=20">Page cache 20 MB/s</a>
+        <a class="btn btn-release" href="/memory/stop">Parar pressão</a>
       </div>
-      ` : ''}
-      <div class="status">
-        <span class="label">Blocos alocados:</span> ${memoryBlocks.length}<br>
-        <span class="label">Total alocado:</span> ${memAllocatedMB.toFixed(1)} MB<br>
-        <span class="label">RSS:</span> ${(memUsage.rss / 1024 / 1024).toFixed(1)} MB${MEMORY_LIMIT_MB ? `<br>
-        <span class="label">Memory Limit:</span> ${MEMORY_LIMIT_MB} MB` : ''}
+      <div id="memStatus">${renderMemoryStatus(memoryStatus())}</div>
+    </div>
+
+    <div class="card">
+      <h2>Telemetria do cgroup</h2>
+      <p>Lido de dentro do pod: mostra quando o limit de CPU causa throttling e quantas vezes o limit de memória foi atingido.</p>
+      <div class="status" id="cgroupStatus">${renderCgroupStatus(cgroup.snapshot())}</div>
+    </div>
+
+    <div class="card">
+      <h2>Cenários</h2>
+      <p>Executa uma sequência fixa de passos de carga, para que a demo se comporte igual em todo workshop.</p>
+      <div style="margin-top: 12px;">
+        <a class="btn btn-stress" href="/scenario/start?preset=hpa">HPA: rampa e pico de CPU</a>
+        <a class="btn btn-danger" href="/scenario/start?preset=oom">OOMKill: memória até o limit</a>
+        <a class="btn btn-release" href="/scenario/abort">Interromper</a>
       </div>
+      <p style="margin-top: 10px;">Ou envie o seu em JSON/YAML: <code>curl -X POST --data-binary @cenario.yaml /api/scenario</code></p>
+      <div class="status" id="scenarioStatus">${renderScenarioStatus(scenarioStatus())}</div>
     </div>
 
     <div class="card">
@@ -325,6 +926,16 @@ ${yaml.networking}
   </div>
 
   <script>
+    // Load runs on worker threads and timers, so the page can poll while it runs
+    setInterval(async () => {
+      for (const [url, id] of [['/api/load?html=1', 'cpuStatus'], ['/api/memory?html=1', 'memStatus'], ['/api/cgroup?html=1', 'cgroupStatus'], ['/api/scenario?html=1', 'scenarioStatus']]) {
+        try {
+          const res = await fetch(url);
+          document.getElementById(id).innerHTML = (await res.json()).html;
+        } catch (e) { /* keep the last status */ }
+      }
+    }, 2000);
+
     function toggleYaml(id) {
       const el = document.getElementById(id);
       if (el) el.classList.toggle('visible');
@@ -428,82 +1039,208 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', pod: POD_NAME, namespace: NAMESPACE });
 });
 
-app.get('/metrics', (req, res) => {
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatOpenMetrics() {
+  const lines = [];
+  const labels = (obj) => {
+    const entries = Object.entries(obj);
+    return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+  };
+  // samples: [suffix, labels, value]
+  const family = (name, type, help, samples) => {
+    lines.push(`# TYPE ${name} ${type}`, `# HELP ${name} ${help}`);
+    for (const [suffix, lbl, value] of samples) lines.push(`${name}${suffix}${labels(lbl)} ${value}`);
+  };
+
   const mem = process.memoryUsage();
-  const allocatedMB = memoryBlocks.reduce((sum, b) => sum + b.length, 0) / (1024 * 1024);
-  res.json({
-    pod: POD_NAME,
-    namespace: NAMESPACE,
-    uptime: Math.floor(process.uptime()),
-    cpuStressActive,
-    memory: {
-      rss_mb: +(mem.rss / 1024 / 1024).toFixed(1),
-      heapUsed_mb: +(mem.heapUsed / 1024 / 1024).toFixed(1),
-      allocated_mb: +allocatedMB.toFixed(1),
-      blocks: memoryBlocks.length
-    }
-  });
+  const cpu = process.cpuUsage();
+  const status = cpuLoadStatus();
+  const allocatedBytes = memoryBlocks.reduce((sum, b) => sum + b.length, 0);
+
+  family('process_cpu_seconds', 'counter', 'User and system CPU time of the process, worker threads included.',
+    [['_total', {}, (cpu.user + cpu.system) / 1e6]]);
+  family('process_resident_memory_bytes', 'gauge', 'Resident set size.', [['', {}, mem.rss]]);
+  family('nodejs_heap_size_used_bytes', 'gauge', 'V8 heap in use.', [['', {}, mem.heapUsed]]);
+  family('nodejs_heap_size_total_bytes', 'gauge', 'V8 heap reserved.', [['', {}, mem.heapTotal]]);
+  family('nodejs_external_memory_bytes', 'gauge', 'Memory outside the V8 heap, where the stress buffers live.', [['', {}, mem.external]]);
+  if (MEMORY_LIMIT_MB) {
+    family('stress_app_memory_limit_bytes', 'gauge', 'Container memory limit read from the cgroup.', [['', {}, MEMORY_LIMIT_MB * 1024 * 1024]]);
+  }
+  family('stress_app_allocated_blocks', 'gauge', 'Memory blocks held by /allocate and scenarios.', [['', {}, memoryBlocks.length]]);
+  family('stress_app_allocated_bytes', 'gauge', 'Bytes held by /allocate and scenarios.', [['', {}, allocatedBytes]]);
+  family('nodejs_heap_size_limit_bytes', 'gauge', 'V8 heap limit (--max-old-space-size).', [['', {}, v8.getHeapStatistics().heap_size_limit]]);
+  family('stress_app_heap_objects_bytes', 'gauge', 'Approximate heap held by the heap pressure mode.', [['', {}, heapChunks.length * 1024 * 1024]]);
+  family('stress_app_page_cache_written_bytes', 'gauge', 'Bytes written to files by the pagecache pressure mode.',
+    [['', {}, pageCacheFiles.reduce((sum, f) => sum + f.bytes, 0)]]);
+  const workingSet = getWorkingSet();
+  if (workingSet.source === 'cgroup') {
+    family('stress_app_memory_working_set_bytes', 'gauge', 'Container working set from the cgroup (usage minus inactive files).',
+      [['', {}, workingSet.mb * 1024 * 1024]]);
+  }
+  const telemetry = cgroup.snapshot();
+  if (telemetry.available) {
+    const { cpu, memory } = telemetry;
+    const counter = (name, help, value) => { if (value !== null) family(name, 'counter', help, [['_total', {}, value]]); };
+    const gauge = (name, help, value) => { if (value !== null) family(name, 'gauge', help, [['', {}, value]]); };
+    gauge('stress_app_cgroup_cpu_limit_cores', 'CPU limit from the cgroup quota.', cpu.limitMillicores !== null ? cpu.limitMillicores / 1000 : null);
+    counter('stress_app_cgroup_cpu_usage_seconds', 'CPU time charged to the container cgroup.', cpu.usageUsec !== null ? cpu.usageUsec / 1e6 : null);
+    counter('stress_app_cgroup_cpu_periods', 'CFS enforcement periods elapsed.', cpu.nrPeriods);
+    counter('stress_app_cgroup_cpu_throttled_periods', 'CFS periods in which the container was throttled.', cpu.nrThrottled);
+    counter('stress_app_cgroup_cpu_throttled_seconds', 'Time the container spent throttled.', cpu.throttledUsec !== null ? cpu.throttledUsec / 1e6 : null);
+    counter('stress_app_cgroup_memory_limit_hits', 'Times memory usage hit the limit.', memory.events.max);
+    counter('stress_app_cgroup_memory_oom_kills', 'Processes killed by the OOM killer in this cgroup.', memory.events.oomKill);
+  }
+  family('stress_app_memory_pressure_active', 'gauge', '1 while a memory pressure mode is growing memory.',
+    MEMORY_MODES.map(mode => ['', { mode }, memPressure.active && memPressure.mode === mode ? 1 : 0]));
+  family('stress_app_cpu_workers', 'gauge', 'Active CPU stress worker threads.', [['', {}, status.workers.length]]);
+  family('stress_app_cpu_target_millicores', 'gauge', 'Target CPU of the running stress load (0 when idle).', [['', {}, status.targetMillicores || 0]]);
+  if (status.measuredMillicores !== null) {
+    family('stress_app_cpu_measured_millicores', 'gauge', 'CPU the stress workers measured on their own threads.', [['', {}, status.measuredMillicores]]);
+  }
+  family('stress_app_scenario_running', 'gauge', '1 while a scenario is running.', [['', {}, scenarioRun?.state === 'running' ? 1 : 0]]);
+
+  family('stress_app_http_requests', 'counter', 'HTTP requests by method, route and status code.',
+    [...requestCounts].map(([key, count]) => {
+      const [method, route, code] = key.split('|');
+      return ['_total', { method, route, code }, count];
+    }));
+  family('stress_app_http_request_duration_seconds', 'histogram', 'Latency of /ping and /api/call-service.',
+    [...latency].flatMap(([route, hist]) => [
+      ...LATENCY_BUCKETS.map((le, i) => ['_bucket', { route, le }, hist.buckets[i]]),
+      ['_bucket', { route, le: '+Inf' }, hist.count],
+      ['_count', { route }, hist.count],
+      ['_sum', { route }, hist.sum]
+    ]));
+
+  return lines.join('\n') + '\n# EOF\n';
+}
+
+// OpenMetrics text for Prometheus; ?format=json keeps the JSON summary
+app.get('/metrics', (req, res) => {
+  if (req.query.format === 'json') {
+    const mem = process.memoryUsage();
+    const allocatedMB = memoryBlocks.reduce((sum, b) => sum + b.length, 0) / (1024 * 1024);
+    return res.json({
+      pod: POD_NAME,
+      namespace: NAMESPACE,
+      uptime: Math.floor(process.uptime()),
+      cpuStressActive,
+      cpuLoad: cpuLoadStatus(),
+      memory: {
+        rss_mb: +(mem.rss / 1024 / 1024).toFixed(1),
+        heapUsed_mb: +(mem.heapUsed / 1024 / 1024).toFixed(1),
+        allocated_mb: +allocatedMB.toFixed(1),
+        blocks: memoryBlocks.length
+      },
+      memoryStatus: memoryStatus()
+    });
+  }
+  res.set('Content-Type', 'application/openmetrics-text; version=1.0.0; charset=utf-8');
+  res.send(formatOpenMetrics());
 });
 
+// /load?duration=60&intensity=2 (whole cores) or /load?duration=60&millicores=300
 app.get('/load', (req, res) => {
   const duration = Math.min(parseInt(req.query.duration) || 30, 300);
-  const intensity = Math.min(parseInt(req.query.intensity) || 1, 8);
+  const millicores = Math.min(parseInt(req.query.millicores) || 0, MAX_CPU_WORKERS * 1000);
+  const intensity = Math.min(parseInt(req.query.intensity) || 1, MAX_CPU_WORKERS);
 
-  cpuStressActive = true;
-  console.log(`[CPU] Iniciando carga: duracao=${duration}s, intensidade=${intensity} threads`);
-
-  const workers = [];
-  for (let t = 0; t < intensity; t++) {
-    const end = Date.now() + duration * 1000;
-    const promise = new Promise((resolve) => {
-      function burn() {
-        if (Date.now() >= end) {
-          resolve();
-          return;
-        }
-        const until = Date.now() + 10;
-        while (Date.now() < until) {
-          Math.sqrt(Math.random() * 999999);
-        }
-        setImmediate(burn);
-      }
-      burn();
-    });
-    workers.push(promise);
-  }
+  startCpuLoad(millicores > 0 ? { millicores, duration } : { intensity, duration });
+  res.redirect('/');
+});
+
+app.get('/load/stop', (req, res) => {
+  stopCpuLoad(false);
+  res.redirect('/');
+});
+
+app.get('/api/load', (req, res) => {
+  const status = cpuLoadStatus();
+  res.json(req.query.html ? { ...status, html: renderCpuStatus(status) } : status);
+});
+
+app.get('/allocate', (req, res) => {
+  allocateMemory(Math.min(parseInt(req.query.size) || 64, 512));
+  res.redirect('/');
+});
 
-  Promise.all(workers).then(() => {
-    cpuStressActive = false;
-    console.log(`[CPU] Carga finalizada apos ${duration}s`);
+app.get('/release', (req, res) => {
+  releaseMemory();
+  res.redirect('/');
+});
+
+// /memory/start?mode=leak|heap|pagecache&rate=10[&stopAt=80][&max=1024]
+app.get('/memory/start', (req, res) => {
+  const mode = req.query.mode;
+  if (!MEMORY_MODES.includes(mode)) {
+    return res.status(400).send(`Modo inválido: ${escapeHtml(mode)} (use ${MEMORY_MODES.join(', ')})`);
+  }
+  const stopAt = parseInt(req.query.stopAt);
+  if (stopAt && !MEMORY_LIMIT_MB) console.log('[MEM] stopAt ignorado: sem memory limit no cgroup');
+  startMemoryPressure({
+    mode,
+    rateMb: Math.min(Math.max(parseInt(req.query.rate) || 10, 1), MEMORY_MAX_RATE_MB),
+    stopAtPercent: stopAt > 0 && MEMORY_LIMIT_MB ? Math.min(stopAt, 100) : null,
+    maxMb: Math.min(parseInt(req.query.max) || MEMORY_MAX_TOTAL_MB, MEMORY_MAX_TOTAL_MB)
   });
+  res.redirect('/');
+});
 
+// Stops growing; what was allocated stays until /release
+app.get('/memory/stop', (req, res) => {
+  stopMemoryPressure('stopped');
   res.redirect('/');
 });
 
-app.get('/allocate', (req, res) => {
-  const sizeMB = Math.min(parseInt(req.query.size) || 64, 512);
-  const bytes = sizeMB * 1024 * 1024;
+app.get('/api/memory', (req, res) => {
+  const status = memoryStatus();
+  res.json(req.query.html ? { ...status, html: renderMemoryStatus(status) } : status);
+});
 
+app.get('/api/cgroup', (req, res) => {
+  const telemetry = cgroup.snapshot();
+  res.json(req.query.html ? { ...telemetry, html: renderCgroupStatus(telemetry) } : telemetry);
+});
+
+// --- Scenario routes ---
+// Body is JSON or YAML (YAML is a superset of JSON, so one parser covers both)
+app.post('/api/scenario', express.text({ type: '*/*', limit: '100kb' }), (req, res) => {
+  let scenario;
   try {
-    const block = Buffer.alloc(bytes, 0x42);
-    memoryBlocks.push(block);
-    console.log(`[MEM] Alocado ${sizeMB} MB (total blocos: ${memoryBlocks.length})`);
+    scenario = parseScenario(yaml.load(typeof req.body === 'string' ? req.body : ''));
   } catch (err) {
-    console.error(`[MEM] Falha na alocacao: ${err.message}`);
+    return res.status(400).json({ error: `Cenário inválido: ${err.reason || err.message}` });
   }
+  if (!startScenario(scenario)) return res.status(409).json({ ...scenarioStatus(), error: 'Já existe um cenário em execução' });
+  res.status(202).json(scenarioStatus());
+});
+
+app.get('/api/scenario', (req, res) => {
+  const status = scenarioStatus();
+  res.json(req.query.html ? { ...status, html: renderScenarioStatus(status) } : status);
+});
+
+app.post('/api/scenario/abort', async (req, res) => {
+  if (!(await abortScenario())) return res.status(409).json({ ...scenarioStatus(), error: 'Nenhum cenário em execução' });
+  res.json(scenarioStatus());
+});
 
+app.get('/api/scenario/presets', (req, res) => {
+  res.json(SCENARIO_PRESETS);
+});
+
+app.get('/scenario/start', (req, res) => {
+  const preset = SCENARIO_PRESETS[req.query.preset];
+  if (!preset) return res.status(404).send(`Cenário desconhecido: ${escapeHtml(req.query.preset)}`);
+  startScenario(parseScenario(preset));
   res.redirect('/');
 });
 
-app.get('/release', (req, res) => {
-  const count = memoryBlocks.length;
-  memoryBlocks.length = 0;
-  memoryBlocks = [];
-  if (global.gc) {
-    global.gc();
-    setTimeout(() => global.gc(), 500);
-  }
-  console.log(`[MEM] Liberados ${count} blocos`);
+app.get('/scenario/abort', async (req, res) => {
+  await abortScenario();
   res.redirect('/');
 });
 
@@ -578,7 +1315,12 @@ app.get('/api/call-service', async (req, res) => {
 });
 
 // --- Start ---
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Stress App rodando na porta ${PORT}`);
-  console.log(`Pod: ${POD_NAME} | Namespace: ${NAMESPACE}`);
-});
+// Only when run directly; the tests require this file for its helpers
+if (require.main === module) {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Stress App rodando na porta ${PORT}`);
+    console.log(`Pod: ${POD_NAME} | Namespace: ${NAMESPACE}`);
+  });
+}
+
+module.exports = { app, parseScenario, formatOpenMetrics, renderMemoryStatus };
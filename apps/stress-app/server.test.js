@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// An empty cgroup root keeps the results independent of the machine running the tests
+const cgroupRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'stress-app-cgroup-'));
+process.env.CGROUP_ROOT = cgroupRoot;
+const { app, parseScenario, formatOpenMetrics, renderMemoryStatus } = require('./server');
+test.after(() => fs.rmSync(cgroupRoot, { recursive: true, force: true }));
+
+test('parseScenario fills in step defaults', () => {
+  assert.deepEqual(parseScenario({
+    name: 'demo',
+    steps: [
+      { action: 'cpu', millicores: 500 },
+      { action: 'allocate', mb: 128 },
+      { action: 'wait', seconds: 10 },
+      { action: 'release' }
+    ]
+  }), {
+    name: 'demo',
+    steps: [
+      { action: 'cpu', millicores: 500, rampSeconds: 0, holdSeconds: 0 },
+      { action: 'allocate', mb: 128, stepMb: 128, intervalSeconds: 1 },
+      { action: 'wait', seconds: 10 },
+      { action: 'release' }
+    ]
+  });
+});
+
+test('parseScenario accepts a bare list of steps', () => {
+  const scenario = parseScenario([{ action: 'cpu', millicores: 0 }]);
+  assert.equal(scenario.name, 'cenario');
+  assert.equal(scenario.steps.length, 1);
+});
+
+test('parseScenario rejects missing or empty steps', () => {
+  for (const def of [null, {}, { steps: [] }, { steps: 'cpu' }, []]) {
+    assert.throws(() => parseScenario(def), /lista "steps" não vazia/);
+  }
+  const tooMany = Array.from({ length: 51 }, () => ({ action: 'release' }));
+  assert.throws(() => parseScenario(tooMany), /Máximo de 50 passos/);
+});
+
+test('parseScenario rejects unknown actions, including inherited keys', () => {
+  for (const action of ['sleep', 'constructor', 'toString', '__proto__', undefined]) {
+    assert.throws(() => parseScenario([{ action }]), new RegExp(`Passo 1: action inválida: ${action}`));
+  }
+  assert.throws(() => parseScenario(['cpu']), /Passo 1: action inválida/);
+});
+
+test('parseScenario validates each field', () => {
+  assert.throws(() => parseScenario([{ action: 'wait', seconds: 5 }, { action: 'cpu' }]), /Passo 2: millicores é obrigatório/);
+  assert.throws(() => parseScenario([{ action: 'cpu', millicores: 8001 }]), /Passo 1: millicores inválido: 8001 \(use 0-8000\)/);
+  assert.throws(() => parseScenario([{ action: 'cpu', millicores: 1.5 }]), /millicores inválido: 1.5/);
+  assert.throws(() => parseScenario([{ action: 'cpu', millicores: '500' }]), /millicores inválido: 500/);
+  assert.throws(() => parseScenario([{ action: 'allocate', mb: 0 }]), /mb inválido: 0 \(use 1-4096\)/);
+  assert.throws(() => parseScenario([{ action: 'release', mb: 10 }]), /Passo 1: campo desconhecido: mb/);
+  assert.throws(() => parseScenario([{ action: 'wait', seconds: 5, toString: 1 }]), /campo desconhecido: toString/);
+});
+
+test('parseScenario caps the total duration', () => {
+  const steps = [
+    { action: 'cpu', millicores: 500, rampSeconds: 600, holdSeconds: 600 },
+    // 1024 MB in 32 MB steps every 10s: 31 waits = 310s
+    { action: 'allocate', mb: 1024, stepMb: 32, intervalSeconds: 10 },
+    { action: 'wait', seconds: 290 }
+  ];
+  assert.equal(parseScenario(steps).steps.length, 3);
+  assert.throws(() => parseScenario([...steps, { action: 'wait', seconds: 1 }]), /Cenário longo demais: 1801s \(máximo 1800s\)/);
+});
+
+test('parseScenario truncates long names', () => {
+  assert.equal(parseScenario({ name: 'x'.repeat(100), steps: [{ action: 'release' }] }).name.length, 63);
+});
+
+// Parsed exposition: { families: name -> { type, help }, samples: [{ name, labels, value }] }
+function parseExposition(text) {
+  const families = {};
+  const samples = [];
+  for (const line of text.trimEnd().split('\n')) {
+    const meta = line.match(/^# (TYPE|HELP) (\S+) (.+)$/);
+    if (meta) {
+      families[meta[2]] = { ...families[meta[2]], [meta[1].toLowerCase()]: meta[3] };
+      continue;
+    }
+    if (line === '# EOF') continue;
+    const m = line.match(/^([a-z_:][a-z0-9_:]*)(?:\{(.*)\})? (\S+)$/);
+    assert.ok(m, `invalid sample line: ${line}`);
+    const labels = Object.fromEntries([...(m[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)].map(l => [l[1], l[2]]));
+    samples.push({ name: m[1], labels, value: Number(m[3]) });
+  }
+  return { families, samples };
+}
+
+async function withServer(fn) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('formatOpenMetrics ends with # EOF and declares every family once', () => {
+  const text = formatOpenMetrics();
+  assert.ok(text.endsWith('\n# EOF\n'));
+  const types = [...text.matchAll(/^# TYPE (\S+) (\S+)$/gm)].map(m => m[1]);
+  assert.equal(new Set(types).size, types.length);
+  const { families, samples } = parseExposition(text);
+  for (const s of samples) {
+    const family = Object.keys(families).find(f => s.name === f || s.name.startsWith(f + '_'));
+    assert.ok(family, `sample without family: ${s.name}`);
+    assert.ok(families[family].help, `family without HELP: ${family}`);
+    if (families[family].type === 'counter') assert.equal(s.name, family + '_total');
+  }
+});
+
+test('formatOpenMetrics leaves out cgroup series without a cgroup', () => {
+  assert.doesNotMatch(formatOpenMetrics(), /stress_app_cgroup_|stress_app_memory_working_set_bytes/);
+});
+
+test('requests are counted by route and code, with latency histograms', async () => {
+  await withServer(async (base) => {
+    await fetch(`${base}/ping`);
+    await fetch(`${base}/ping`);
+    await fetch(`${base}/no-such-route`);
+    const res = await fetch(`${base}/metrics`);
+    assert.match(res.headers.get('content-type'), /^application\/openmetrics-text;.*version=1\.0\.0/);
+    await res.text();
+  });
+
+  const { families, samples } = parseExposition(formatOpenMetrics());
+  const find = (name, labels) => samples.find(s => s.name === name &&
+    Object.entries(labels).every(([k, v]) => s.labels[k] === v));
+
+  assert.equal(families.stress_app_http_requests.type, 'counter');
+  assert.equal(find('stress_app_http_requests_total', { method: 'GET', route: '/ping', code: '200' }).value, 2);
+  assert.equal(find('stress_app_http_requests_total', { route: 'other', code: '404' }).value, 1);
+  assert.equal(find('stress_app_http_requests_total', { route: '/metrics' }).value, 1);
+
+  assert.equal(families.stress_app_http_request_duration_seconds.type, 'histogram');
+  const buckets = samples.filter(s => s.name === 'stress_app_http_request_duration_seconds_bucket' && s.labels.route === '/ping');
+  assert.equal(buckets[buckets.length - 1].labels.le, '+Inf');
+  assert.equal(buckets[buckets.length - 1].value, 2);
+  for (let i = 1; i < buckets.length; i++) assert.ok(buckets[i].value >= buckets[i - 1].value, 'buckets are cumulative');
+  assert.equal(find('stress_app_http_request_duration_seconds_count', { route: '/ping' }).value, 2);
+  assert.ok(find('stress_app_http_request_duration_seconds_sum', { route: '/ping' }).value > 0);
+  assert.equal(find('stress_app_http_request_duration_seconds_count', { route: '/api/call-service' }).value, 0);
+});
+
+test('the memory bar follows the working set and names its source', () => {
+  const status = {
+    limitMb: 512,
+    rssMb: 100,
+    heapUsedMb: 10,
+    heapLimitMb: 2048,
+    workingSet: { mb: 400, source: 'cgroup' },
+    blocks: 0,
+    held: { bufferMb: 0, heapMb: 0, pageCacheMb: 300 },
+    pressure: { mode: null }
+  };
+  const html = renderMemoryStatus(status);
+  assert.match(html, /Memória: 400 Mi \/ 512 Mi limit/);
+  assert.match(html, /class="mem-bar-pct">78%</);
+  assert.match(html, /class="mem-bar-fill warning" style="width: 78%"/);
+  assert.match(html, /working set do cgroup/);
+
+  const rss = renderMemoryStatus({ ...status, workingSet: { mb: 100, source: 'rss' } });
+  assert.match(rss, /class="mem-bar-pct">20%</);
+  assert.match(rss, /RSS do processo \(cgroup não encontrado\)/);
+});
+
+test('pagecache writes asynchronously, one file at a time', async (t) => {
+  const writes = [];
+  const removed = [];
+  let finishWrite;
+  t.mock.method(fs, 'writeFileSync', () => assert.fail('page cache written on the main thread'));
+  t.mock.method(fs.promises, 'writeFile', async (file) => {
+    writes.push(file);
+    await new Promise(resolve => { finishWrite = resolve; });
+  });
+  t.mock.method(fs.promises, 'rm', async (file) => { removed.push(file); });
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  await withServer(async (base) => {
+    const get = (url) => fetch(base + url, { redirect: 'manual' });
+    const status = async () => (await (await get('/api/memory')).json()).pressure;
+
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    await get('/memory/start?mode=pagecache&rate=1&max=3');
+    await settle();
+    assert.equal(writes.length, 1);
+
+    // Ticks while the first write is in flight do not start another one
+    t.mock.timers.tick(3000);
+    await settle();
+    assert.equal(writes.length, 1);
+    assert.equal((await status()).addedMb, 0);
+
+    finishWrite();
+    await settle();
+    assert.equal((await status()).addedMb, 1);
+    t.mock.timers.tick(1000);
+    await settle();
+    assert.equal(writes.length, 2);
+    assert.notEqual(writes[1], writes[0]);
+
+    // Released mid-write: the file is deleted once the write finishes
+    await get('/release');
+    finishWrite();
+    await settle();
+    assert.deepEqual(removed, [writes[1]]);
+    assert.equal((await (await get('/api/memory')).json()).held.pageCacheMb, 0);
+
+    // File names are never reused after a release
+    await get('/memory/start?mode=pagecache&rate=1&max=1');
+    await settle();
+    assert.equal(writes.length, 3);
+    assert.ok(!writes.slice(0, 2).includes(writes[2]));
+    await get('/release');
+    finishWrite();
+    await settle();
+  });
+});
@@ -1,7 +1,7 @@
 const express = require('express');
 const os = require('os');
 const path = require('path');
-const fs = require('fs');
+const { createCgroupTelemetry } = require('../shared/cgroup-telemetry');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -9,21 +9,13 @@ const POD_NAME = process.env.HOSTNAME || 'unknown';
 const NAMESPACE = process.env.NAMESPACE || 'unknown';
 
 // ---------------------------------------------------------------------------
-// Memory limit detection (cgroups)
+// Memory limit detection and live telemetry (cgroups, see shared/cgroup-telemetry.js)
 // ---------------------------------------------------------------------------
+const cgroup = createCgroupTelemetry({ root: process.env.CGROUP_ROOT || '/sys/fs/cgroup' });
+
 function getMemoryLimitMB() {
-  const paths = [
-    '/sys/fs/cgroup/memory.max',
-    '/sys/fs/cgroup/memory/memory.limit_in_bytes'
-  ];
-  for (const p of paths) {
-    try {
-      const val = fs.readFileSync(p, 'utf8').trim();
-      if (val === 'max' || val === '9223372036854771712') return null;
-      return Math.round(parseInt(val) / (1024 * 1024));
-    } catch (e) { /* next */ }
-  }
-  return null;
+  const limit = cgroup.read()?.memory.limitBytes;
+  return limit ? Math.round(limit / (1024 * 1024)) : null;
 }
 const MEMORY_LIMIT_MB = getMemoryLimitMB();
 
@@ -210,9 +202,15 @@ app.get('/api/status', (req, res) => {
       peakMemMB: Math.round(stats.peakMemMB),
       lastBurst: stats.lastBurst,
     },
+    cgroup: cgroup.snapshot(),
   });
 });
 
+// What the container's cgroup reports: CPU quota and throttling, memory and OOM kills
+app.get('/api/cgroup', (req, res) => {
+  res.json(cgroup.snapshot());
+});
+
 // ---------------------------------------------------------------------------
 // Web UI
 // ---------------------------------------------------------------------------
@@ -297,6 +295,31 @@ app.get('/', (req, res) => {
       </div>
     </div>
 
+    <div class="chart-title">Visto de dentro do pod (cgroup)</div>
+    <div class="grid" id="cgroupGrid">
+      <div class="card">
+        <div class="card-value" id="cgCpu">--</div>
+        <div class="card-label">CPU usada (millicores)</div>
+        <div class="card-sub" id="cgCpuLimit">--</div>
+      </div>
+      <div class="card">
+        <div class="card-value" id="cgThrottled">--</div>
+        <div class="card-label">Períodos com throttling (%)</div>
+        <div class="card-sub" id="cgThrottledMs">--</div>
+      </div>
+      <div class="card">
+        <div class="card-value" id="cgWorkingSet">--</div>
+        <div class="card-label">Working set (MB)</div>
+        <div class="card-sub" id="cgMemLimit">--</div>
+      </div>
+      <div class="card">
+        <div class="card-value" id="cgOomKills">--</div>
+        <div class="card-label">OOM kills</div>
+        <div class="card-sub" id="cgMemEvents">--</div>
+      </div>
+    </div>
+    <div class="info-banner" id="cgroupMissing" style="display: none;">cgroup não encontrado: rodando fora de um container?</div>
+
     <div class="chart-container">
       <div class="chart-title">Uso de recursos</div>
       <div class="bar-row">
@@ -384,6 +407,24 @@ app.get('/', (req, res) => {
       ctx.fillText('0', 4, h - 4);
     }
 
+    function renderCgroup(cg) {
+      document.getElementById('cgroupGrid').style.display = cg.available ? '' : 'none';
+      document.getElementById('cgroupMissing').style.display = cg.available ? 'none' : '';
+      if (!cg.available) return;
+      const mb = (bytes) => bytes === null ? '--' : Math.round(bytes / (1024 * 1024));
+      const r = cg.rates;
+      document.getElementById('cgCpu').textContent = r.cpuMillicores ?? '--';
+      document.getElementById('cgCpuLimit').textContent = cg.cpu.limitMillicores ? 'limit: ' + cg.cpu.limitMillicores + 'm' : 'sem limit de CPU';
+      document.getElementById('cgThrottled').textContent = r.throttledPercent ?? '--';
+      document.getElementById('cgThrottled').style.color = r.throttledPercent > 0 ? '#c0392b' : '';
+      document.getElementById('cgThrottledMs').textContent = r.throttledMsPerSecond !== null
+        ? r.throttledMsPerSecond + ' ms/s parado (últimos ' + r.windowSeconds + 's)' : 'aguardando amostra';
+      document.getElementById('cgWorkingSet').textContent = mb(cg.memory.workingSetBytes);
+      document.getElementById('cgMemLimit').textContent = cg.memory.limitBytes ? 'limit: ' + mb(cg.memory.limitBytes) + ' MB' : 'sem limit de memória';
+      document.getElementById('cgOomKills').textContent = cg.memory.events.oomKill ?? '--';
+      document.getElementById('cgMemEvents').textContent = 'limit atingido: ' + (cg.memory.events.max ?? '--') + 'x';
+    }
+
     async function refresh() {
       try {
         const res = await fetch('/api/status');
@@ -408,10 +449,19 @@ app.get('/', (req, res) => {
           document.getElementById('memText').textContent = d.memory.rssMB + ' MB';
         }
 
-        // CPU bar -- approximate from users/maxUsers
-        const cpuPct = Math.min(Math.round(d.simulation.currentUsers / (d.simulation.maxUsers * 1.2) * 100), 100);
-        document.getElementById('cpuBar').style.width = cpuPct + '%';
-        document.getElementById('cpuText').textContent = d.simulation.currentUsers + ' users ativo(s)';
+        // CPU bar -- measured against the cgroup limit when there is one,
+        // otherwise approximated from users/maxUsers
+        const cg = d.cgroup;
+        if (cg.available && cg.cpu.limitMillicores && cg.rates.cpuMillicores !== null) {
+          const cpuPct = Math.min(Math.round(cg.rates.cpuMillicores / cg.cpu.limitMillicores * 100), 100);
+          document.getElementById('cpuBar').style.width = cpuPct + '%';
+          document.getElementById('cpuText').textContent = cg.rates.cpuMillicores + 'm / ' + cg.cpu.limitMillicores + 'm';
+        } else {
+          const cpuPct = Math.min(Math.round(d.simulation.currentUsers / (d.simulation.maxUsers * 1.2) * 100), 100);
+          document.getElementById('cpuBar').style.width = cpuPct + '%';
+          document.getElementById('cpuText').textContent = d.simulation.currentUsers + ' users ativo(s)';
+        }
+        renderCgroup(cg);
 
         // History chart
         history.push(d.simulation.currentUsers);
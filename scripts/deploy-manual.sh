@@ -60,6 +60,10 @@ create_projects() {
   ensure_project "demo-dashboard"   "Demo - Dashboard"
   ensure_project "vpa-demo"         "VPA Demo - Workload Simulator"
   ensure_project "workshop-slides"  "Workshop - Slide Deck"
+
+  # The dashboard styles each namespace as good/bad practice from this label
+  oc label namespace app-bom  workshop.demo/role=good --overwrite > /dev/null
+  oc label namespace app-ruim workshop.demo/role=bad  --overwrite > /dev/null
 }
 
 # ---------------------------------------------------------------------------
@@ -68,6 +72,7 @@ create_projects() {
 ensure_build_config() {
   local app="$1"
   local dir="$2"
+  local dockerfile="${3:-}"
 
   if oc get bc "$app" -n "$BUILD_NS" > /dev/null 2>&1; then
     log "BuildConfig '$app' already exists in $BUILD_NS."
@@ -75,13 +80,19 @@ ensure_build_config() {
     log "Creating BuildConfig '$app' in $BUILD_NS..."
     oc new-build --name="$app" --binary --strategy=docker -n "$BUILD_NS"
   fi
+
+  # Apps built from apps/ (to include apps/shared) point at their own Dockerfile
+  if [ -n "$dockerfile" ]; then
+    oc patch bc "$app" -n "$BUILD_NS" --type=merge \
+      -p "{\"spec\":{\"strategy\":{\"dockerStrategy\":{\"dockerfilePath\":\"$dockerfile\"}}}}" > /dev/null
+  fi
 }
 
 create_build_configs() {
   log "--- Creating BuildConfigs ---"
-  ensure_build_config "stress-app"         "apps/stress-app"
+  ensure_build_config "stress-app"         "apps/stress-app"         "stress-app/Dockerfile"
   ensure_build_config "resource-dashboard" "apps/resource-dashboard"
-  ensure_build_config "workload-simulator" "apps/workload-simulator"
+  ensure_build_config "workload-simulator" "apps/workload-simulator" "workload-simulator/Dockerfile"
   ensure_build_config "workshop-slides"    "apps/workshop-slides"
 }
 
@@ -95,11 +106,24 @@ build_image() {
   oc start-build "$app" --from-dir="$REPO_ROOT/$dir" -n "$BUILD_NS" --follow
 }
 
+# Apps that use apps/shared: uploads the app and apps/shared, laid out as under apps/
+build_image_with_shared() {
+  local app="$1"
+  local ctx
+  local status=0
+  ctx=$(mktemp -d)
+  log "Building $app from apps/$app and apps/shared..."
+  tar -C "$REPO_ROOT/apps" --exclude=node_modules --exclude='*.test.js' -cf - "$app" shared | tar -C "$ctx" -xf -
+  oc start-build "$app" --from-dir="$ctx" -n "$BUILD_NS" --follow || status=$?
+  rm -rf "$ctx"
+  return $status
+}
+
 build_all() {
   log "--- Building images ---"
-  build_image "stress-app"         "apps/stress-app"
+  build_image_with_shared "stress-app"
   build_image "resource-dashboard" "apps/resource-dashboard"
-  build_image "workload-simulator" "apps/workload-simulator"
+  build_image_with_shared "workload-simulator"
   build_image "workshop-slides"    "apps/workshop-slides"
 }
 